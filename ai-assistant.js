@@ -1,55 +1,52 @@
 /**
  * Assistente de IA para Correção Ortográfica e Melhoria de Texto
- * Integração com OpenAI para análise inteligente de relatórios
+ * Integração com provedores de LLM (OpenAI ou compatíveis) para análise inteligente de relatórios
  */
 
 class AITextAssistant {
-  constructor() {
+  constructor(providerConfig = {}) {
     this.apiKey = null; // Será configurado dinamicamente
-    this.baseURL = 'https://api.openai.com/v1';
-    this.model = 'gpt-4.1-mini';
+    this.provider = AIProviders.create(providerConfig);
     this.isProcessing = false;
     
-    // Dicionário básico de correções ortográficas em português
-    this.spellCorrections = {
-      'vazamento': 'vazamento',
-      'entupimento': 'entupimento', 
-      'quebrado': 'danificado',
-      'ruim': 'em más condições',
-      'muito': 'significativamente',
-      'bem': 'adequadamente',
-      'mal': 'inadequadamente',
-      'defeituoso': 'com defeito',
-      'estragado': 'danificado',
-      'furado': 'perfurado',
-      'rachado': 'com fissuras',
-      'solto': 'desencaixado',
-      'apertado': 'com folga insuficiente'
-    };
-
-    // Padrões de melhoria técnica
-    this.technicalPatterns = [
-      {
-        pattern: /\b(quebr[ao]d[ao]s?)\b/gi,
-        replacement: 'danificado(s)',
-        suggestion: 'Use "danificado" em vez de "quebrado" para maior precisão técnica.'
-      },
-      {
-        pattern: /\b(muito|bem)\s+/gi,
-        replacement: '',
-        suggestion: 'Evite advérbios vagos. Seja mais específico sobre a intensidade ou qualidade.'
-      },
-      {
-        pattern: /\b(ruim|péssim[ao]s?)\b/gi,
-        replacement: 'em condições inadequadas',
-        suggestion: 'Descreva especificamente o que está inadequado.'
-      },
-      {
-        pattern: /\b(não funciona|não está funcionando)\b/gi,
-        replacement: 'apresenta falha operacional',
-        suggestion: 'Seja mais específico sobre o tipo de falha.'
+    // Corretor ortográfico pt-BR com glossário de obra (dicionário carregado sob demanda)
+    this.spellChecker = new PortugueseSpellChecker();
+
+    // Regras de redação técnica e clareza (pacotes JSON em rules/)
+    this.rules = new WritingRuleEngine();
+
+    // Campos que podem ser propostos a partir da descrição (classificador offline como alternativa)
+    this.classifier = new KeywordFieldClassifier();
+    this.inferableFields = ['tipo', 'acao', 'prio', 'bloco', 'pav', 'local'];
+
+    // Categorias aceitas nas edições pontuais
+    this.editCategories = ['ortografia', 'gramatica', 'tecnico', 'clareza', 'estilo'];
+
+    // Esquema da resposta estruturada da IA (edições por trecho)
+    this.analysisSchema = {
+      type: 'object',
+      additionalProperties: false,
+      required: ['edits', 'suggestions', 'score'],
+      properties: {
+        edits: {
+          type: 'array',
+          items: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['offset', 'original', 'replacement', 'reason', 'category'],
+            properties: {
+              offset: { type: 'integer' },
+              original: { type: 'string' },
+              replacement: { type: 'string' },
+              reason: { type: 'string' },
+              category: { type: 'string', enum: this.editCategories }
+            }
+          }
+        },
+        suggestions: { type: 'array', items: { type: 'string' } },
+        score: { type: 'number' }
       }
-    ];
+    };
   }
 
   /**
@@ -57,118 +54,69 @@ class AITextAssistant {
    */
   setApiKey(key) {
     this.apiKey = key;
+    this.provider.setApiKey(key);
   }
 
   /**
-   * Verifica ortografia básica usando dicionário local
+   * Troca o provedor de LLM (OpenAI, Ollama, llama.cpp, vLLM, simulado...)
    */
-  checkBasicSpelling(text) {
-    const corrections = [];
-    const words = text.toLowerCase().split(/\s+/);
-    
-    words.forEach((word, index) => {
-      const cleanWord = word.replace(/[^\w]/g, '');
-      if (this.spellCorrections[cleanWord] && this.spellCorrections[cleanWord] !== cleanWord) {
-        corrections.push({
-          original: word,
-          suggestion: this.spellCorrections[cleanWord],
-          position: index,
-          type: 'spelling'
-        });
-      }
-    });
-
-    return corrections;
+  setProvider(provider) {
+    this.provider = provider;
+    if (this.apiKey) this.provider.setApiKey(this.apiKey);
   }
 
   /**
-   * Aplica padrões de melhoria técnica
+   * Indica se a análise avançada pode ser usada com o provedor atual
    */
-  applyTechnicalPatterns(text) {
-    const suggestions = [];
-    let improvedText = text;
-
-    this.technicalPatterns.forEach(pattern => {
-      if (pattern.pattern.test(text)) {
-        suggestions.push({
-          type: 'technical',
-          suggestion: pattern.suggestion,
-          pattern: pattern.pattern.source
-        });
-        improvedText = improvedText.replace(pattern.pattern, pattern.replacement);
-      }
-    });
-
-    return { improvedText, suggestions };
+  isAIAvailable() {
+    return !!this.provider?.isConfigured();
   }
 
   /**
-   * Análise básica de clareza sem IA
+   * Verifica a ortografia com o dicionário local (erros com posição em caracteres)
    */
-  analyzeClarityBasic(text) {
-    const issues = [];
-    
-    // Verificar comprimento
-    if (text.length < 20) {
-      issues.push({
-        type: 'length',
-        severity: 'medium',
-        message: 'Descrição muito curta. Adicione mais detalhes sobre o problema.',
-        suggestion: 'Inclua informações sobre quando foi observado, extensão do problema e possíveis causas.'
-      });
-    }
-
-    // Verificar pontuação
-    if (text.length > 50 && !text.includes('.') && !text.includes('!') && !text.includes('?')) {
-      issues.push({
-        type: 'punctuation',
-        severity: 'low',
-        message: 'Considere dividir o texto em frases menores.',
-        suggestion: 'Use pontos para separar ideias e melhorar a legibilidade.'
-      });
-    }
-
-    // Verificar palavras vagas
-    const vagueWords = ['coisa', 'negócio', 'troço', 'isso', 'aquilo'];
-    const hasVagueWords = vagueWords.some(word => text.toLowerCase().includes(word));
-    if (hasVagueWords) {
-      issues.push({
-        type: 'vague',
-        severity: 'medium',
-        message: 'Evite palavras vagas como "coisa", "negócio", etc.',
-        suggestion: 'Seja específico sobre os objetos e situações mencionados.'
-      });
-    }
-
-    // Verificar repetições
-    const words = text.toLowerCase().split(/\s+/);
-    const wordCount = {};
-    words.forEach(word => {
-      const cleanWord = word.replace(/[^\w]/g, '');
-      if (cleanWord.length > 3) {
-        wordCount[cleanWord] = (wordCount[cleanWord] || 0) + 1;
-      }
-    });
+  checkBasicSpelling(text) {
+    return this.spellChecker.check(text);
+  }
 
-    const repeatedWords = Object.entries(wordCount).filter(([word, count]) => count > 2);
-    if (repeatedWords.length > 0) {
-      issues.push({
-        type: 'repetition',
-        severity: 'low',
-        message: `Palavras repetidas: ${repeatedWords.map(([word]) => word).join(', ')}`,
-        suggestion: 'Use sinônimos para evitar repetições excessivas.'
-      });
-    }
+  /**
+   * Edições pontuais para os erros de grafia que têm sugestão
+   */
+  buildSpellingEdits(spelling) {
+    return spelling
+      .filter(error => error.suggestion)
+      .map(error => ({
+        offset: error.offset,
+        original: error.original,
+        replacement: error.suggestion,
+        reason: `Palavra não encontrada no dicionário. Sugestões: ${error.suggestions.join(', ')}`,
+        category: 'ortografia',
+        source: 'spell'
+      }));
+  }
 
-    return issues;
+  /**
+   * Edições pontuais a partir dos achados das regras que trazem substituição
+   */
+  buildRuleEdits(text, findings) {
+    return this.normalizeEdits(text, findings
+      .filter(finding => finding.offset !== undefined && finding.replacement !== null)
+      .map(finding => ({
+        offset: finding.offset,
+        original: finding.original,
+        replacement: finding.replacement,
+        reason: finding.explanation,
+        category: finding.category,
+        source: 'rule'
+      })));
   }
 
   /**
-   * Análise avançada com IA (OpenAI)
+   * Análise avançada com IA (provedor configurado)
    */
   async analyzeWithAI(text, context = {}) {
-    if (!this.apiKey || this.isProcessing) {
-      return this.analyzeClarityBasic(text);
+    if (!this.isAIAvailable() || this.isProcessing) {
+      return null;
     }
 
     this.isProcessing = true;
@@ -176,41 +124,38 @@ class AITextAssistant {
     try {
       const prompt = this.buildAnalysisPrompt(text, context);
       
-      const response = await fetch(`${this.baseURL}/chat/completions`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
+      const messages = [
+        {
+          role: 'system',
+          content: 'Você é um especialista em redação técnica para relatórios de obra e construção civil. Analise textos e proponha edições pontuais para melhorar clareza, precisão técnica e profissionalismo, sem reescrever o que já está adequado.'
         },
-        body: JSON.stringify({
-          model: this.model,
-          messages: [
-            {
-              role: 'system',
-              content: 'Você é um especialista em redação técnica para relatórios de obra e construção civil. Analise textos e forneça sugestões específicas para melhorar clareza, precisão técnica e profissionalismo.'
-            },
-            {
-              role: 'user',
-              content: prompt
-            }
-          ],
-          max_tokens: 300,
-          temperature: 0.3
-        })
-      });
+        {
+          role: 'user',
+          content: prompt
+        }
+      ];
 
-      if (!response.ok) {
-        throw new Error(`API Error: ${response.status}`);
+      let aiAnalysis;
+      try {
+        aiAnalysis = await this.provider.complete(messages, {
+          maxTokens: 800,
+          temperature: 0.2,
+          responseFormat: {
+            type: 'json_schema',
+            json_schema: { name: 'analise_ocorrencia', strict: true, schema: this.analysisSchema }
+          }
+        });
+      } catch (error) {
+        // Servidores sem suporte a saída estruturada: repete só com as instruções do prompt
+        console.warn('Saída estruturada não suportada, repetindo sem esquema:', error);
+        aiAnalysis = await this.provider.complete(messages, { maxTokens: 800, temperature: 0.2 });
       }
-
-      const data = await response.json();
-      const aiAnalysis = data.choices[0]?.message?.content || '';
       
-      return this.parseAIResponse(aiAnalysis);
+      return this.parseAIResponse(aiAnalysis, text);
 
     } catch (error) {
       console.warn('Erro na análise de IA, usando análise básica:', error);
-      return this.analyzeClarityBasic(text);
+      return null;
     } finally {
       this.isProcessing = false;
     }
@@ -226,39 +171,46 @@ class AITextAssistant {
 
 "${text}"
 
-Forneça sugestões específicas para:
-1. Correções ortográficas (se houver)
+Proponha edições pontuais para:
+1. Correções ortográficas e gramaticais
 2. Melhorias na clareza e precisão técnica
 3. Termos mais profissionais
 4. Estrutura da frase
 
-Responda em formato JSON:
+Cada edição substitui um trecho exato do texto original:
+- "offset": posição (0 = primeiro caractere) onde o trecho começa no texto original
+- "original": o trecho exatamente como está no texto
+- "replacement": o novo trecho
+- "reason": justificativa curta
+- "category": uma de ${this.editCategories.join(', ')}
+
+Responda somente com JSON neste formato:
 {
-  "corrections": ["correção1", "correção2"],
-  "suggestions": ["sugestão1", "sugestão2"],
-  "improvedText": "texto melhorado",
+  "edits": [{ "offset": 0, "original": "trecho", "replacement": "novo trecho", "reason": "motivo", "category": "tecnico" }],
+  "suggestions": ["sugestão geral 1"],
   "score": número de 1-10
 }`;
   }
 
   /**
-   * Processa a resposta da IA
+   * Processa a resposta da IA validando-a contra o esquema
    */
-  parseAIResponse(aiResponse) {
+  parseAIResponse(aiResponse, text = '') {
     try {
-      // Tentar extrair JSON da resposta
-      const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
+      const parsed = this.parseJSONContent(aiResponse);
+      const errors = this.validateSchema(parsed, this.analysisSchema);
+
+      if (errors.length === 0) {
         return {
           type: 'ai',
-          corrections: parsed.corrections || [],
-          suggestions: parsed.suggestions || [],
-          improvedText: parsed.improvedText || '',
-          score: parsed.score || 7,
+          edits: this.normalizeEdits(text, parsed.edits.map(edit => ({ ...edit, source: 'ai' }))),
+          suggestions: parsed.suggestions,
+          score: Math.max(1, Math.min(10, parsed.score)),
           hasAI: true
         };
       }
+
+      console.warn('Resposta da IA fora do esquema:', errors);
     } catch (e) {
       console.warn('Erro ao processar resposta da IA:', e);
     }
@@ -271,18 +223,117 @@ Responda em formato JSON:
     };
   }
 
+  /**
+   * Resposta deve ser o próprio JSON (tolera bloco de código markdown)
+   */
+  parseJSONContent(content) {
+    return JSON.parse(content.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, ''));
+  }
+
+  /**
+   * Validação mínima de JSON Schema (type, enum, required, properties, items)
+   * @returns {string[]} lista de erros (vazia se válido)
+   */
+  validateSchema(value, schema, path = '$') {
+    const errors = [];
+    const typeOk = {
+      object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+      array: v => Array.isArray(v),
+      string: v => typeof v === 'string',
+      number: v => typeof v === 'number' && Number.isFinite(v),
+      integer: v => Number.isInteger(v)
+    }[schema.type];
+
+    if (typeOk && !typeOk(value)) {
+      return [`${path}: esperado ${schema.type}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path}: valor fora de ${schema.enum.join('|')}`);
+    }
+
+    if (schema.type === 'object') {
+      (schema.required || []).forEach(key => {
+        if (!(key in value)) errors.push(`${path}.${key}: obrigatório`);
+      });
+      Object.entries(value).forEach(([key, child]) => {
+        if (schema.properties?.[key]) {
+          errors.push(...this.validateSchema(child, schema.properties[key], `${path}.${key}`));
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${path}.${key}: não permitido`);
+        }
+      });
+    }
+
+    if (schema.type === 'array' && schema.items) {
+      value.forEach((item, i) => errors.push(...this.validateSchema(item, schema.items, `${path}[${i}]`)));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Confere cada edição contra o texto (corrigindo offsets aproximados),
+   * descarta as inválidas/sobrepostas e ordena por posição
+   */
+  normalizeEdits(text, edits = []) {
+    const located = edits
+      .map(edit => {
+        if (!edit.original || edit.original === edit.replacement) return null;
+
+        let offset = edit.offset;
+        if (text.substr(offset, edit.original.length) !== edit.original) {
+          // Procura a ocorrência do trecho mais próxima do offset informado
+          let best = -1;
+          let index = text.indexOf(edit.original);
+          while (index !== -1) {
+            if (best === -1 || Math.abs(index - edit.offset) < Math.abs(best - edit.offset)) best = index;
+            index = text.indexOf(edit.original, index + 1);
+          }
+          if (best === -1) return null;
+          offset = best;
+        }
+
+        return { ...edit, offset };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.offset - b.offset);
+
+    const result = [];
+    located.forEach(edit => {
+      const last = result[result.length - 1];
+      if (!last || edit.offset >= last.offset + last.original.length) {
+        result.push({ ...edit, id: `${edit.offset}:${edit.original}` });
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Aplica um conjunto de edições (offsets relativos ao texto original)
+   */
+  applyEdits(text, edits) {
+    return [...edits]
+      .sort((a, b) => b.offset - a.offset)
+      .reduce((result, edit) => result.slice(0, edit.offset) + edit.replacement + result.slice(edit.offset + edit.original.length), text);
+  }
+
   /**
    * Análise completa combinando métodos
    */
   async analyzeText(text, context = {}) {
+    await Promise.all([
+      this.spellChecker.load().catch(error => console.warn('Corretor ortográfico indisponível:', error)),
+      this.rules.load()
+    ]);
+
     // Análise básica sempre disponível
     const basicSpelling = this.checkBasicSpelling(text);
-    const technicalAnalysis = this.applyTechnicalPatterns(text);
-    const clarityIssues = this.analyzeClarityBasic(text);
+    const ruleFindings = this.rules.evaluate(text, { tipo: context.tipo });
 
     // Tentar análise com IA se disponível
     let aiAnalysis = null;
-    if (this.apiKey && text.length > 10) {
+    if (this.isAIAvailable() && text.length > 10) {
       try {
         aiAnalysis = await this.analyzeWithAI(text, context);
       } catch (error) {
@@ -290,27 +341,124 @@ Responda em formato JSON:
       }
     }
 
+    // Edições pontuais: as da IA têm prioridade sobre as locais no mesmo trecho
+    const edits = this.normalizeEdits(text, [
+      ...(aiAnalysis?.edits || []),
+      ...this.buildSpellingEdits(basicSpelling),
+      ...this.buildRuleEdits(text, ruleFindings)
+    ]);
+
     return {
+      text,
       spelling: basicSpelling,
-      technical: technicalAnalysis,
-      clarity: clarityIssues,
+      technical: ruleFindings.filter(finding => finding.offset !== undefined),
+      clarity: ruleFindings.filter(finding => finding.offset === undefined),
+      rules: ruleFindings,
       ai: aiAnalysis,
+      edits,
       hasAI: !!aiAnalysis?.hasAI,
-      overallScore: this.calculateOverallScore(basicSpelling, clarityIssues, aiAnalysis)
+      overallScore: this.calculateOverallScore(basicSpelling, ruleFindings, aiAnalysis)
     };
   }
 
+  /**
+   * Propõe valores para tipo, ação, prioridade, bloco, pavimento e local a partir da descrição
+   * @param {Object} options.options - Valores aceitos nos campos de lista ({ tipo: [...], acao: [...], prio: [...] })
+   * @returns {Promise<Object>} { campo: { value, confidence (0-1), source: 'ia'|'local', reason } }
+   */
+  async inferFields(text, { options = {}, useAI = true } = {}) {
+    const local = this.classifier.classify(text, options);
+    if (!useAI || !this.isAIAvailable()) return local;
+
+    try {
+      const ai = await this.inferFieldsWithAI(text, options);
+      // Para cada campo vale a proposta mais confiável
+      const merged = { ...local };
+      Object.entries(ai).forEach(([field, proposal]) => {
+        if (!merged[field] || proposal.confidence >= merged[field].confidence) merged[field] = proposal;
+      });
+      return merged;
+    } catch (error) {
+      console.warn('Preenchimento por IA indisponível, usando palavras-chave:', error);
+      return local;
+    }
+  }
+
+  async inferFieldsWithAI(text, options) {
+    const fieldSchema = values => ({
+      type: 'object',
+      additionalProperties: false,
+      required: ['value', 'confidence', 'reason'],
+      properties: {
+        value: values ? { type: 'string', enum: ['', ...values] } : { type: 'string' },
+        confidence: { type: 'number' },
+        reason: { type: 'string' }
+      }
+    });
+    const schema = {
+      type: 'object',
+      additionalProperties: false,
+      required: this.inferableFields,
+      properties: Object.fromEntries(this.inferableFields.map(field => [field, fieldSchema(options[field])]))
+    };
+
+    const allowed = ['tipo', 'acao', 'prio']
+      .filter(field => options[field])
+      .map(field => `- ${field}: ${options[field].join(' | ')}`)
+      .join('\n');
+
+    const content = await this.provider.complete([
+      {
+        role: 'system',
+        content: 'Você classifica ocorrências de obra e manutenção predial. Extraia da descrição apenas o que ela indica; não invente valores.'
+      },
+      {
+        role: 'user',
+        content: `Descrição da ocorrência:
+"${text}"
+
+Proponha valores para os campos tipo, acao (ação solicitada), prio (prioridade), bloco (bloco/torre/setor), pav (pavimento e/ou unidade, ex.: "12º / 1203") e local (cômodo ou ambiente).
+Nos campos de lista use exatamente um destes valores:
+${allowed}
+
+Para cada campo responda { "value": "...", "confidence": 0 a 1, "reason": "trecho que justifica" }; use "value": "" quando a descrição não indicar o campo.
+Responda somente com JSON.`
+      }
+    ], {
+      maxTokens: 400,
+      temperature: 0,
+      responseFormat: { type: 'json_schema', json_schema: { name: 'campos_ocorrencia', strict: true, schema } }
+    });
+
+    const parsed = this.parseJSONContent(content);
+    const errors = this.validateSchema(parsed, schema);
+    if (errors.length) throw new Error(`Resposta fora do esquema: ${errors.join('; ')}`);
+
+    const result = {};
+    Object.entries(parsed).forEach(([field, proposal]) => {
+      if (!proposal.value) return;
+      result[field] = {
+        value: proposal.value,
+        confidence: Math.max(0, Math.min(1, proposal.confidence)),
+        source: 'ia',
+        reason: proposal.reason
+      };
+    });
+    return result;
+  }
+
   /**
    * Calcula pontuação geral do texto
    */
-  calculateOverallScore(spelling, clarity, aiAnalysis) {
+  calculateOverallScore(spelling, findings, aiAnalysis) {
     let score = 10;
     
     // Penalizar erros ortográficos
     score -= spelling.length * 0.5;
     
-    // Penalizar problemas de clareza
-    clarity.forEach(issue => {
+    // Penalizar cada regra violada uma vez, conforme a severidade
+    const violated = new Map(findings.map(finding => [finding.ruleId, finding]));
+    violated.forEach(issue => {
       switch (issue.severity) {
         case 'high': score -= 2; break;
         case 'medium': score -= 1; break;
@@ -327,28 +475,14 @@ Responda em formato JSON:
   }
 
   /**
-   * Aplica correções automáticas
+   * Aplica correções automáticas (todas as edições pontuais; o restante do texto é preservado)
    */
   applyCorrections(text, corrections) {
-    let correctedText = text;
-    
-    // Aplicar correções ortográficas
-    corrections.spelling?.forEach(correction => {
-      const regex = new RegExp(`\\b${correction.original}\\b`, 'gi');
-      correctedText = correctedText.replace(regex, correction.suggestion);
-    });
-
-    // Aplicar melhorias técnicas
-    if (corrections.technical?.improvedText) {
-      correctedText = corrections.technical.improvedText;
-    }
-
-    // Aplicar texto melhorado da IA
-    if (corrections.ai?.improvedText && corrections.ai.improvedText.length > 10) {
-      correctedText = corrections.ai.improvedText;
+    if (corrections.text !== undefined && corrections.text !== text) {
+      // Texto mudou desde a análise: as posições não valem mais
+      return text;
     }
-
-    return correctedText;
+    return this.applyEdits(text, corrections.edits || []);
   }
 
   /**
@@ -359,18 +493,16 @@ Responda em formato JSON:
 
     // Sugestões de ortografia
     if (analysis.spelling.length > 0) {
-      suggestions.push(`Correções ortográficas: ${analysis.spelling.length} encontradas`);
+      const words = Array.from(new Set(analysis.spelling.map(error => `"${error.original}"`)));
+      suggestions.push(`Possíveis erros de grafia: ${words.slice(0, 5).join(', ')}`);
     }
 
-    // Sugestões técnicas
-    if (analysis.technical.suggestions.length > 0) {
-      suggestions.push(...analysis.technical.suggestions.map(s => s.suggestion));
-    }
-
-    // Sugestões de clareza
-    if (analysis.clarity.length > 0) {
-      suggestions.push(...analysis.clarity.map(issue => issue.suggestion));
-    }
+    // Regras de redação, das mais graves para as mais leves (uma vez por regra)
+    const order = { high: 0, medium: 1, low: 2 };
+    const byRule = new Map(analysis.rules.map(finding => [finding.ruleId, finding]));
+    Array.from(byRule.values())
+      .sort((a, b) => order[a.severity] - order[b.severity])
+      .forEach(finding => suggestions.push(finding.message || finding.explanation));
 
     // Sugestões da IA
     if (analysis.ai?.suggestions) {
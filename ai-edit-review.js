@@ -0,0 +1,145 @@
+/**
+ * Revisão das Edições Sugeridas
+ * Diff em linha no painel de IA: aceitar/rejeitar cada edição, aceitar todas e desfazer
+ */
+
+class InlineEditReview {
+  /**
+   * @param {HTMLElement} container - Onde o diff é desenhado
+   * @param {Object} options
+   * @param {AITextAssistant} options.assistant - Usado para aplicar as edições ao texto original
+   * @param {Function} options.onChange - Recebe o texto resultante a cada decisão
+   * @param {Function} options.onLearn - Recebe a palavra que o usuário quer incluir no glossário
+   */
+  constructor(container, { assistant, onChange = null, onLearn = null } = {}) {
+    this.container = container;
+    this.assistant = assistant;
+    this.onChange = onChange;
+    this.onLearn = onLearn;
+    this.reset();
+  }
+
+  reset() {
+    this.baseText = '';
+    this.edits = [];
+    this.history = []; // Pilha de decisões para desfazer
+    this.container.innerHTML = '';
+  }
+
+  /**
+   * Carrega o texto analisado e suas edições (todas pendentes)
+   */
+  load(text, edits) {
+    this.baseText = text;
+    this.edits = edits.map(edit => ({ ...edit, status: 'pending' }));
+    this.history = [];
+    this.render();
+  }
+
+  hasPending() {
+    return this.edits.some(edit => edit.status === 'pending');
+  }
+
+  canUndo() {
+    return this.history.length > 0;
+  }
+
+  /**
+   * Texto original com as edições aceitas até agora
+   */
+  currentText() {
+    return this.assistant.applyEdits(this.baseText, this.edits.filter(edit => edit.status === 'accepted'));
+  }
+
+  decide(ids, status) {
+    const changes = this.edits
+      .filter(edit => ids.includes(edit.id) && edit.status !== status)
+      .map(edit => ({ id: edit.id, previous: edit.status }));
+    if (changes.length === 0) return;
+
+    changes.forEach(change => { this.edits.find(edit => edit.id === change.id).status = status; });
+    this.history.push(changes);
+    this.commit();
+  }
+
+  accept(id) {
+    this.decide([id], 'accepted');
+  }
+
+  reject(id) {
+    this.decide([id], 'rejected');
+  }
+
+  acceptAll() {
+    this.decide(this.edits.filter(edit => edit.status === 'pending').map(edit => edit.id), 'accepted');
+  }
+
+  undo() {
+    const changes = this.history.pop();
+    if (!changes) return;
+
+    changes.forEach(change => { this.edits.find(edit => edit.id === change.id).status = change.previous; });
+    this.commit();
+  }
+
+  commit() {
+    this.render();
+    if (this.onChange) this.onChange(this.currentText());
+  }
+
+  /**
+   * Texto com cada edição marcada no lugar (riscado → novo) e seus botões
+   */
+  render() {
+    this.container.innerHTML = '';
+    let cursor = 0;
+
+    this.edits.forEach(edit => {
+      this.container.appendChild(document.createTextNode(this.baseText.slice(cursor, edit.offset)));
+      cursor = edit.offset + edit.original.length;
+
+      const span = document.createElement('span');
+      span.className = `edit ${edit.status}`;
+      span.title = `${edit.category}: ${edit.reason}`;
+
+      if (edit.status !== 'accepted') {
+        const del = document.createElement('del');
+        del.textContent = edit.original;
+        span.appendChild(del);
+      }
+      if (edit.status !== 'rejected') {
+        const ins = document.createElement('ins');
+        ins.textContent = edit.replacement;
+        span.appendChild(ins);
+      }
+
+      if (edit.status === 'pending') {
+        span.appendChild(this.button('✓', 'Aceitar', () => this.accept(edit.id)));
+        span.appendChild(this.button('✗', 'Rejeitar', () => this.reject(edit.id)));
+        if (edit.source === 'spell' && this.onLearn) {
+          span.appendChild(this.button('📖', 'Grafia correta: adicionar ao glossário', () => {
+            this.reject(edit.id);
+            this.onLearn(edit.original);
+          }));
+        }
+      }
+
+      this.container.appendChild(span);
+    });
+
+    this.container.appendChild(document.createTextNode(this.baseText.slice(cursor)));
+  }
+
+  button(label, title, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'edit-btn';
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+}
+
+// Exportar para uso global
+window.InlineEditReview = InlineEditReview;
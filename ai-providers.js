@@ -0,0 +1,215 @@
+/**
+ * Provedores de LLM para o Assistente de IA
+ * API OpenAI, servidores compatíveis (Ollama, llama.cpp, vLLM) e provedor simulado para testes
+ */
+
+/**
+ * Provedor para qualquer endpoint no formato /chat/completions da OpenAI
+ */
+class OpenAICompatibleProvider {
+  constructor({ id = 'custom', endpoint, model, transcriptionModel = null, authScheme = 'bearer', authHeader = '', apiKey = null, timeoutMs = 30000 } = {}) {
+    this.id = id;
+    this.endpoint = (endpoint || '').replace(/\/+$/, '');
+    this.model = model;
+    this.transcriptionModel = transcriptionModel; // Ex.: whisper-1 (null = sem transcrição de áudio)
+    this.authScheme = authScheme; // 'bearer' | 'header' | 'none'
+    this.authHeader = authHeader || OpenAICompatibleProvider.defaultAuthHeader(authScheme);
+    this.apiKey = apiKey;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Cabeçalho da chave quando não informado: Authorization (Bearer) ou api-key (Azure e afins)
+   */
+  static defaultAuthHeader(authScheme) {
+    return authScheme === 'header' ? 'api-key' : 'Authorization';
+  }
+
+  setApiKey(key) {
+    this.apiKey = key;
+  }
+
+  /**
+   * Pronto para uso: endpoint e modelo definidos e, se exigida, a chave
+   */
+  isConfigured() {
+    if (!this.endpoint || !this.model) return false;
+    return this.authScheme === 'none' || !!this.apiKey;
+  }
+
+  /**
+   * Transcrição de áudio disponível (endpoint /audio/transcriptions)
+   */
+  canTranscribe() {
+    return !!this.transcriptionModel && this.isConfigured();
+  }
+
+  buildHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (this.authScheme === 'bearer' && this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    } else if (this.authScheme === 'header' && this.apiKey) {
+      headers[this.authHeader] = this.apiKey;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Envia as mensagens e devolve o texto da resposta
+   */
+  async complete(messages, { maxTokens = 300, temperature = 0.3, responseFormat = null } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      const body = {
+        model: this.model,
+        messages,
+        max_tokens: maxTokens,
+        temperature
+      };
+      if (responseFormat) body.response_format = responseFormat;
+
+      const response = await fetch(`${this.endpoint}/chat/completions`, {
+        method: 'POST',
+        headers: this.buildHeaders(),
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`API Error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content || '';
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Envia um áudio gravado e devolve o texto transcrito
+   */
+  async transcribe(audio, { language = 'pt', prompt = '' } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs * 2);
+
+    try {
+      const form = new FormData();
+      const extension = (audio.type.split('/')[1] || 'webm').split(';')[0];
+      form.append('file', audio, `ditado.${extension}`);
+      form.append('model', this.transcriptionModel);
+      form.append('language', language);
+      if (prompt) form.append('prompt', prompt);
+
+      // Sem Content-Type: o navegador define o boundary do multipart
+      const headers = this.buildHeaders();
+      delete headers['Content-Type'];
+
+      const response = await fetch(`${this.endpoint}/audio/transcriptions`, {
+        method: 'POST',
+        headers,
+        body: form,
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`API Error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return data.text || '';
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * Provedor simulado: respostas fixas, sem rede (testes e demonstrações)
+ */
+class MockAIProvider {
+  constructor({ response = null, delayMs = 300 } = {}) {
+    this.id = 'mock';
+    this.model = 'mock';
+    this.response = response;
+    this.delayMs = delayMs;
+    this.calls = [];
+  }
+
+  setApiKey() {}
+
+  isConfigured() {
+    return true;
+  }
+
+  canTranscribe() {
+    return true;
+  }
+
+  async transcribe(audio, options = {}) {
+    this.calls.push({ audio, options });
+    await new Promise(resolve => setTimeout(resolve, this.delayMs));
+    return 'O cano tá quebrado e não está funcionando.';
+  }
+
+  async complete(messages, options = {}) {
+    this.calls.push({ messages, options });
+    await new Promise(resolve => setTimeout(resolve, this.delayMs));
+
+    if (typeof this.response === 'function') return this.response(messages, options);
+    if (this.response) return typeof this.response === 'string' ? this.response : JSON.stringify(this.response);
+
+    return JSON.stringify({
+      edits: [],
+      suggestions: ['Resposta simulada: indique a extensão do problema e o local exato.'],
+      score: 7
+    });
+  }
+}
+
+/**
+ * Catálogo de provedores e criação a partir da configuração salva
+ */
+const AIProviders = {
+  presets: {
+    openai: { label: 'OpenAI', endpoint: 'https://api.openai.com/v1', model: 'gpt-4.1-mini', transcriptionModel: 'whisper-1', authScheme: 'bearer' },
+    ollama: { label: 'Ollama (local)', endpoint: 'http://localhost:11434/v1', model: 'llama3.1', authScheme: 'none' },
+    llamacpp: { label: 'llama.cpp server', endpoint: 'http://localhost:8080/v1', model: 'local-model', authScheme: 'none' },
+    vllm: { label: 'vLLM', endpoint: 'http://localhost:8000/v1', model: 'Qwen/Qwen2.5-7B-Instruct', authScheme: 'none' },
+    proxy: { label: 'Proxy local (chave no servidor)', endpoint: 'http://localhost:8787/v1', model: 'gpt-4.1-mini', transcriptionModel: 'whisper-1', authScheme: 'none' },
+    custom: { label: 'Outro compatível com OpenAI', endpoint: '', model: '', authScheme: 'bearer' },
+    mock: { label: 'Simulado (testes)', endpoint: '', model: 'mock', authScheme: 'none' }
+  },
+
+  /**
+   * Configuração completa: preset + ajustes do usuário
+   */
+  resolveConfig(config = {}) {
+    const id = this.presets[config.id] ? config.id : 'openai';
+    const preset = this.presets[id];
+    const authScheme = config.authScheme || preset.authScheme;
+    return {
+      id,
+      endpoint: config.endpoint || preset.endpoint,
+      model: config.model || preset.model,
+      transcriptionModel: config.transcriptionModel || preset.transcriptionModel || null,
+      authScheme,
+      authHeader: config.authHeader || OpenAICompatibleProvider.defaultAuthHeader(authScheme)
+    };
+  },
+
+  create(config = {}) {
+    const resolved = this.resolveConfig(config);
+    if (resolved.id === 'mock') return new MockAIProvider(config.mock);
+    return new OpenAICompatibleProvider({ ...resolved, apiKey: config.apiKey || null });
+  }
+};
+
+// Exportar para uso global
+window.OpenAICompatibleProvider = OpenAICompatibleProvider;
+window.MockAIProvider = MockAIProvider;
+window.AIProviders = AIProviders;
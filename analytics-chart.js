@@ -0,0 +1,209 @@
+/**
+ * Gráficos do Painel
+ * Barras empilhadas (em aberto × resolvidas) desenhadas em canvas, com toque para
+ * detalhar o grupo e imagem PNG para o relatório gerencial
+ */
+
+class AnalyticsChart {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas do gráfico (a altura acompanha o número de barras)
+   */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.width = 900;
+    this.maxBars = 12;   // Barras horizontais (os maiores grupos)
+    this.maxWeeks = 26;  // Colunas do gráfico semanal (as mais recentes)
+    this.bars = [];      // Áreas clicáveis: { x, y, width, height, grupo }
+
+    // Mesma paleta do PDF; applyBranding troca primária e secundária
+    this.colors = {
+      primary: '#007bff',
+      secondary: '#28a745',
+      text: '#333333',
+      muted: '#6b7280',
+      grid: '#e5e7eb'
+    };
+  }
+
+  applyBranding(profile) {
+    if (!profile) return this;
+    this.colors = { ...this.colors, primary: profile.corPrimaria, secondary: profile.corSecundaria };
+    return this;
+  }
+
+  /**
+   * Desenha o gráfico
+   * @param {Object} chart - { titulo, grupos (OccurrenceAnalytics.groupBy), vertical: colunas por semana }
+   */
+  render({ titulo, grupos, vertical = false }) {
+    this.canvas.width = this.width;
+    this.canvas.height = vertical ? 380 : 110 + Math.max(1, Math.min(grupos.length, this.maxBars)) * 40;
+    const ctx = this.ctx;
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    ctx.textBaseline = 'alphabetic';
+
+    ctx.font = 'bold 22px Helvetica, Arial, sans-serif';
+    ctx.fillStyle = this.colors.text;
+    ctx.fillText(titulo, 16, 32);
+    this.drawLegend(this.width - 16, 32);
+
+    this.bars = [];
+    if (!grupos.length) {
+      ctx.font = '18px Helvetica, Arial, sans-serif';
+      ctx.fillStyle = this.colors.muted;
+      ctx.fillText('Nenhuma ocorrência com os filtros atuais.', 16, 90);
+    } else if (vertical) {
+      this.drawColumns(grupos.slice(-this.maxWeeks));
+    } else {
+      this.drawBars(grupos);
+    }
+    return this.canvas;
+  }
+
+  drawLegend(right, y) {
+    const ctx = this.ctx;
+    ctx.font = '16px Helvetica, Arial, sans-serif';
+    let x = right;
+    [['Resolvidas', this.colors.secondary], ['Em aberto', this.colors.primary]].forEach(([label, color]) => {
+      x -= ctx.measureText(label).width;
+      ctx.fillStyle = this.colors.muted;
+      ctx.fillText(label, x, y);
+      x -= 24;
+      ctx.fillStyle = color;
+      ctx.fillRect(x, y - 14, 16, 16);
+      x -= 20;
+    });
+  }
+
+  /**
+   * Barras horizontais: rótulo, barra empilhada, total e tempo médio de resolução
+   */
+  drawBars(grupos) {
+    const ctx = this.ctx;
+    const labelWidth = 240;
+    const valueWidth = 240;
+    const barX = 16 + labelWidth;
+    const barMax = this.width - barX - valueWidth - 16;
+    const max = Math.max(...grupos.map(g => g.total), 1);
+    let y = 70;
+
+    grupos.slice(0, this.maxBars).forEach(grupo => {
+      ctx.font = '17px Helvetica, Arial, sans-serif';
+      ctx.fillStyle = this.colors.text;
+      ctx.fillText(this.fit(grupo.rotulo, labelWidth - 12), 16, y + 21);
+
+      const openWidth = barMax * grupo.abertas / max;
+      const closedWidth = barMax * (grupo.total - grupo.abertas) / max;
+      ctx.fillStyle = this.colors.primary;
+      ctx.fillRect(barX, y + 6, openWidth, 22);
+      ctx.fillStyle = this.colors.secondary;
+      ctx.fillRect(barX + openWidth, y + 6, closedWidth, 22);
+
+      ctx.font = 'bold 17px Helvetica, Arial, sans-serif';
+      ctx.fillStyle = this.colors.text;
+      const total = `${grupo.total}`;
+      ctx.fillText(total, barX + openWidth + closedWidth + 8, y + 23);
+      ctx.font = '15px Helvetica, Arial, sans-serif';
+      ctx.fillStyle = this.colors.muted;
+      const details = `${grupo.abertas} em aberto • ${OccurrenceAnalytics.formatDays(grupo.mediaDias)}`;
+      ctx.textAlign = 'right';
+      ctx.fillText(details, this.width - 16, y + 23);
+      ctx.textAlign = 'left';
+
+      this.bars.push({ x: 0, y, width: this.width, height: 40, grupo });
+      y += 40;
+    });
+
+    ctx.font = '14px Helvetica, Arial, sans-serif';
+    ctx.fillStyle = this.colors.muted;
+    const hidden = grupos.length - this.maxBars;
+    const note = `À direita: em aberto e tempo médio de resolução.${hidden > 0 ? ` Mais ${hidden} grupo(s) menor(es) fora do gráfico.` : ''}`;
+    ctx.fillText(this.fit(note, this.width - 32), 16, y + 26);
+  }
+
+  /**
+   * Colunas por semana (tendência), com o rótulo do início da semana
+   */
+  drawColumns(grupos) {
+    const ctx = this.ctx;
+    const top = 70;
+    const bottom = this.canvas.height - 60;
+    const left = 56;
+    const step = (this.width - left - 16) / grupos.length;
+    const columnWidth = Math.min(48, step * 0.7);
+    // Escala par, para a linha do meio cair em número inteiro
+    const max = Math.max(2, Math.ceil(Math.max(...grupos.map(g => g.total)) / 2) * 2);
+
+    // Linhas de grade com a escala
+    ctx.font = '14px Helvetica, Arial, sans-serif';
+    [0, 0.5, 1].forEach(fraction => {
+      const y = bottom - (bottom - top) * fraction;
+      ctx.fillStyle = this.colors.grid;
+      ctx.fillRect(left, y, this.width - left - 16, 1);
+      ctx.fillStyle = this.colors.muted;
+      ctx.textAlign = 'right';
+      ctx.fillText(String(max * fraction), left - 8, y + 5);
+      ctx.textAlign = 'left';
+    });
+
+    grupos.forEach((grupo, index) => {
+      const x = left + index * step + (step - columnWidth) / 2;
+      const openHeight = (bottom - top) * grupo.abertas / max;
+      const closedHeight = (bottom - top) * (grupo.total - grupo.abertas) / max;
+      ctx.fillStyle = this.colors.secondary;
+      ctx.fillRect(x, bottom - closedHeight, columnWidth, closedHeight);
+      ctx.fillStyle = this.colors.primary;
+      ctx.fillRect(x, bottom - closedHeight - openHeight, columnWidth, openHeight);
+
+      ctx.textAlign = 'center';
+      if (grupo.total) {
+        ctx.font = 'bold 14px Helvetica, Arial, sans-serif';
+        ctx.fillStyle = this.colors.text;
+        ctx.fillText(String(grupo.total), x + columnWidth / 2, bottom - closedHeight - openHeight - 6);
+      }
+      // Com muitas semanas, rótulo em semanas alternadas
+      if (grupos.length <= 13 || index % 2 === 0) {
+        ctx.font = '13px Helvetica, Arial, sans-serif';
+        ctx.fillStyle = this.colors.muted;
+        ctx.fillText(grupo.rotulo, x + columnWidth / 2, bottom + 20);
+      }
+      ctx.textAlign = 'left';
+
+      this.bars.push({ x: left + index * step, y: top, width: step, height: bottom - top + 24, grupo });
+    });
+
+    ctx.font = '14px Helvetica, Arial, sans-serif';
+    ctx.fillStyle = this.colors.muted;
+    ctx.fillText('Semanas iniciadas na segunda-feira (registro no fuso de Brasília).', 16, this.canvas.height - 14);
+  }
+
+  /**
+   * Grupo sob o toque/clique (null fora das barras)
+   */
+  groupAt(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    const x = (event.clientX - rect.left) * this.canvas.width / rect.width;
+    const y = (event.clientY - rect.top) * this.canvas.height / rect.height;
+    const bar = this.bars.find(b => x >= b.x && x <= b.x + b.width && y >= b.y && y <= b.y + b.height);
+    return bar ? bar.grupo : null;
+  }
+
+  /**
+   * Imagem do gráfico para o PDF: { imagem (data URL PNG), aspect }
+   */
+  toImage() {
+    return { imagem: this.canvas.toDataURL('image/png'), aspect: this.canvas.width / this.canvas.height };
+  }
+
+  fit(text, maxWidth) {
+    if (this.ctx.measureText(text).width <= maxWidth) return text;
+    let fitted = text;
+    while (fitted.length > 1 && this.ctx.measureText(`${fitted}…`).width > maxWidth) fitted = fitted.slice(0, -1);
+    return `${fitted.trimEnd()}…`;
+  }
+}
+
+// Exportar para uso global
+window.AnalyticsChart = AnalyticsChart;
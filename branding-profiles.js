@@ -0,0 +1,129 @@
+/**
+ * Perfis de Marca (white-label)
+ * Logo, cores, empresa, título, rodapé e cliente (co-branding) aplicados ao PDF, ao cartão, à tela e às mensagens
+ */
+
+class BrandingProfiles {
+  /**
+   * @param {Object} options
+   * @param {string} options.storageKey - Chave do localStorage com os perfis
+   */
+  constructor({ storageKey = 'branding_profiles' } = {}) {
+    this.storageKey = storageKey;
+    this.defaultId = 'padrao';
+  }
+
+  /**
+   * Identidade original do aplicativo; pode ser editada, mas não excluída
+   */
+  get defaultProfile() {
+    return {
+      id: this.defaultId,
+      nome: 'System Engenharia (padrão)',
+      empresa: 'System Engenharia',
+      titulo: 'RELATÓRIO TÉCNICO DE OCORRÊNCIA',
+      rodape: 'System Engenharia - Relatório Técnico Automatizado | www.systemengenharia.com.br',
+      assinatura: 'Sistema Profissional de Gestão',
+      logo: 'assets/system_engenharia_logo.png',
+      corPrimaria: '#007bff',
+      corSecundaria: '#28a745',
+      cliente: { nome: '', logo: '' }
+    };
+  }
+
+  getStored() {
+    try {
+      const profiles = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+      return Array.isArray(profiles) ? profiles : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Perfis cadastrados, com o padrão sempre em primeiro lugar
+   */
+  list() {
+    const stored = this.getStored();
+    const padrao = { ...this.defaultProfile, ...stored.find(p => p.id === this.defaultId) };
+    const others = stored.filter(p => p.id !== this.defaultId).sort((a, b) => a.nome.localeCompare(b.nome, 'pt-BR'));
+    return [padrao, ...others].map(profile => this.normalize(profile));
+  }
+
+  /**
+   * Perfil pelo id (obras sem marca ou com marca excluída usam o padrão)
+   */
+  get(id) {
+    const profiles = this.list();
+    return profiles.find(p => p.id === id) || profiles[0];
+  }
+
+  save(profile) {
+    const nome = (profile.nome || '').trim();
+    if (!nome) throw new Error('Informe o nome do perfil de marca');
+    ['corPrimaria', 'corSecundaria'].forEach(key => {
+      if (profile[key] && !/^#[0-9a-f]{6}$/i.test(profile[key])) throw new Error(`Cor inválida: ${profile[key]} (use #RRGGBB)`);
+    });
+
+    const id = profile.id || (window.crypto?.randomUUID ? crypto.randomUUID() : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`);
+    const saved = this.normalize({ ...profile, id, nome });
+    localStorage.setItem(this.storageKey, JSON.stringify([...this.getStored().filter(p => p.id !== id), saved]));
+    return saved;
+  }
+
+  remove(id) {
+    if (id === this.defaultId) throw new Error('O perfil padrão não pode ser excluído');
+    localStorage.setItem(this.storageKey, JSON.stringify(this.getStored().filter(p => p.id !== id)));
+  }
+
+  /**
+   * Campos vazios herdam do perfil padrão (cliente é opcional)
+   */
+  normalize(profile) {
+    const base = this.defaultProfile;
+    const filled = {};
+    Object.keys(base).forEach(key => {
+      const value = typeof profile[key] === 'string' ? profile[key].trim() : profile[key];
+      filled[key] = value || base[key];
+    });
+    return {
+      ...filled,
+      cliente: { nome: (profile.cliente?.nome || '').trim(), logo: profile.cliente?.logo || '' }
+    };
+  }
+
+  /**
+   * "#007bff" → [0, 123, 255] (formato usado pelo jsPDF)
+   */
+  static hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+  }
+
+  /**
+   * Logo enviado pelo usuário, reduzido e convertido em data URL para caber no localStorage
+   */
+  static imageToDataURL(file, maxSize = 400) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const img = new Image();
+      img.onload = () => {
+        const scale = Math.min(1, maxSize / Math.max(img.naturalWidth, img.naturalHeight));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(img.naturalWidth * scale);
+        canvas.height = Math.round(img.naturalHeight * scale);
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+        URL.revokeObjectURL(url);
+        resolve(canvas.toDataURL('image/png'));
+      };
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('Arquivo de imagem inválido'));
+      };
+      img.src = url;
+    });
+  }
+}
+
+// Exportar para uso global
+window.BrandingProfiles = BrandingProfiles;
@@ -0,0 +1,138 @@
+/**
+ * Contatos e Listas de Distribuição
+ * Quem recebe cada ocorrência conforme tipo, prioridade e obra, com registro de quem foi notificado
+ */
+
+class ContactDirectory {
+  /**
+   * @param {Object} options
+   * @param {string} options.storageKey - Chave do localStorage com contatos e listas
+   */
+  constructor({ storageKey = 'contact_directory' } = {}) {
+    this.storageKey = storageKey;
+  }
+
+  /**
+   * { contatos: [{ id, nome, funcao, fone, email }], listas: [{ id, nome, membros, tipos, prioridades, obras }] }
+   */
+  getData() {
+    try {
+      const data = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+      return { contatos: data.contatos || [], listas: data.listas || [] };
+    } catch (error) {
+      return { contatos: [], listas: [] };
+    }
+  }
+
+  saveData(data) {
+    localStorage.setItem(this.storageKey, JSON.stringify(data));
+  }
+
+  generateId() {
+    if (window.crypto?.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  /**
+   * Substitui os contatos a partir do texto "Nome; Função; Telefone; E-mail" (uma linha por contato);
+   * contatos com o mesmo nome mantêm o id (e o lugar nas listas)
+   */
+  setContactsFromText(text) {
+    const data = this.getData();
+    const contatos = text.split('\n').map(line => line.split(';').map(part => part.trim())).filter(([nome]) => nome)
+      .map(([nome, funcao = '', fone = '', email = '']) => {
+        const current = data.contatos.find(c => c.nome.toLowerCase() === nome.toLowerCase());
+        if (email && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) throw new Error(`E-mail inválido para ${nome}: ${email}`);
+        return { id: current?.id || this.generateId(), nome, funcao, fone: fone.replace(/[^\d+]/g, ''), email };
+      });
+
+    const ids = contatos.map(c => c.id);
+    const listas = data.listas.map(lista => ({ ...lista, membros: lista.membros.filter(id => ids.includes(id)) }));
+    this.saveData({ contatos, listas });
+    return contatos;
+  }
+
+  static contactsToText(contatos) {
+    return contatos.map(c => [c.nome, c.funcao, c.fone, c.email].join('; ')).join('\n');
+  }
+
+  /**
+   * Salva (cria ou atualiza) uma lista de distribuição
+   * @param {Object} lista - { id?, nome, membros: [ids], tipos: [], prioridades: [], obras: [ids] }
+   */
+  saveList(lista) {
+    const nome = (lista.nome || '').trim();
+    if (!nome) throw new Error('Informe o nome da lista');
+    if (!(lista.membros || []).length) throw new Error('Inclua ao menos um contato na lista');
+
+    const data = this.getData();
+    const saved = {
+      id: lista.id || this.generateId(),
+      nome,
+      membros: lista.membros,
+      tipos: lista.tipos || [],
+      prioridades: lista.prioridades || [],
+      obras: lista.obras || []
+    };
+    data.listas = [...data.listas.filter(l => l.id !== saved.id), saved].sort((a, b) => a.nome.localeCompare(b.nome, 'pt-BR'));
+    this.saveData(data);
+    return saved;
+  }
+
+  removeList(id) {
+    const data = this.getData();
+    data.listas = data.listas.filter(l => l.id !== id);
+    this.saveData(data);
+  }
+
+  /**
+   * Listas acionadas pela ocorrência: tipo OU prioridade combinam (critério vazio não aciona);
+   * se a lista tiver obras, a ocorrência precisa ser de uma delas
+   */
+  matchingLists({ tipo, prioridade, obra } = {}) {
+    return this.getData().listas.filter(lista => {
+      if (lista.obras.length && !lista.obras.includes(obra)) return false;
+      return lista.tipos.includes(tipo) || lista.prioridades.includes(prioridade);
+    });
+  }
+
+  /**
+   * Destinatários sem repetição, cada um com as listas que o incluíram
+   * @returns {Object[]} [{ id, nome, funcao, fone, email, listas: [nomes] }]
+   */
+  recipientsFor(occurrence) {
+    const { contatos } = this.getData();
+    const recipients = new Map();
+
+    this.matchingLists(occurrence).forEach(lista => lista.membros.forEach(id => {
+      const contato = contatos.find(c => c.id === id);
+      if (!contato) return;
+      const recipient = recipients.get(id) || { ...contato, listas: [] };
+      recipient.listas.push(lista.nome);
+      recipients.set(id, recipient);
+    }));
+
+    return Array.from(recipients.values());
+  }
+
+  /**
+   * Acrescenta ao registro quem foi notificado, quando e por qual canal
+   * @param {Object} record - Ocorrência salva
+   * @param {Object[]} recipients - [{ nome, fone?, email? }]
+   * @param {string} channel - 'whatsapp' | 'email' | 'compartilhamento'
+   * @param {Function} now - Carimbo de data/hora exibido (ex.: nowBr)
+   */
+  static logNotification(record, recipients, channel, now) {
+    const entries = recipients.map(recipient => ({
+      nome: recipient.nome,
+      destino: channel === 'email' ? recipient.email : recipient.fone || '',
+      channel,
+      at: now(),
+      atIso: new Date().toISOString()
+    }));
+    return { ...record, notifications: [...(record.notifications || []), ...entries] };
+  }
+}
+
+// Exportar para uso global
+window.ContactDirectory = ContactDirectory;
@@ -0,0 +1,184 @@
+/**
+ * Classificador Offline de Campos
+ * Propõe tipo, ação, prioridade, bloco, pavimento e local a partir de palavras-chave da descrição
+ */
+
+class KeywordFieldClassifier {
+  constructor() {
+    // Radicais sem acento, casados no início da palavra ("entup" → entupido, entupimento)
+    this.keywords = {
+      tipo: {
+        'Entupimentos': ['entup', 'obstru', 'transbord', 'retorno de esgoto', 'refluxo', 'caixa de gordura', 'nao escoa', 'escoamento lento'],
+        'Danos causados por terceiros': ['terceiro', 'vizinho', 'caminhao', 'colisao', 'colidiu', 'bateu', 'vandal', 'pichac', 'outra empresa', 'empreiteira'],
+        'Extravios': ['extravi', 'sumiu', 'sumiram', 'furt', 'roubad', 'desaparec', 'perdid'],
+        'Necessidade de reparo': ['vazament', 'infiltra', 'fissur', 'trinca', 'danific', 'quebr', 'desprend', 'solt', 'goteira', 'mofo', 'umidade', 'oxida', 'ferrugem', 'reparo'],
+        'Não conformidade': ['nao conform', 'fora do projeto', 'fora de prumo', 'desnivel', 'em desacordo', 'norma', 'especificac', 'execucao incorreta', 'executado errado'],
+        'Acidente/Incidente': ['acident', 'ferid', 'queda de', 'caiu', 'lesao', 'vitima', 'incidente', 'choque eletrico'],
+        'Segurança': ['seguranca', 'epi', 'sem capacete', 'sem cinto', 'guarda-corpo', 'risco', 'exposta', 'exposto', 'sinalizac', 'incendio', 'extintor'],
+        'Atraso de fornecedor': ['atras', 'fornecedor', 'nao entregue', 'nao chegou', 'prazo de entrega'],
+        'Falta de material': ['falta de', 'faltando', 'faltou', 'sem material', 'acabou', 'estoque', 'insuficiente']
+      },
+      acao: {
+        'Fechamento de área': ['risco de queda', 'desabamento', 'desplacamento', 'interdit', 'isolar', 'colapso'],
+        'Compra de material': ['falta de', 'faltando', 'comprar', 'compra', 'sem material', 'estoque'],
+        'Reparo': ['vazament', 'danific', 'quebr', 'reparar', 'trocar', 'consert', 'entup', 'infiltra', 'goteira', 'solt'],
+        'Vistoria': ['verificar', 'avaliar', 'inspecion', 'investigar', 'fissur', 'trinca', 'umidade', 'mofo'],
+        'Retorno administrativo': ['fornecedor', 'atras', 'extravi', 'terceiro', 'cobranc', 'nota fiscal']
+      },
+      prio: {
+        'Crítica': ['risco de vida', 'choque', 'incendio', 'desabamento', 'colapso', 'vitima', 'ferid', 'alagamento', 'interdit', 'vazamento de gas', 'cheiro de gas'],
+        'Alta': ['vazament', 'infiltra', 'urgente', 'seguranca', 'sem agua', 'sem energia', 'elevador parado', 'retorno de esgoto', 'transbord'],
+        'Baixa': ['estetic', 'pintura', 'acabamento', 'pequen', 'leve', 'retoque', 'risco na pintura']
+      }
+    };
+
+    // Ação padrão quando a descrição não indica nenhuma
+    this.defaultAction = {
+      'Extravios': 'Retorno administrativo',
+      'Danos causados por terceiros': 'Retorno administrativo',
+      'Entupimentos': 'Reparo',
+      'Necessidade de reparo': 'Reparo',
+      'Não conformidade': 'Vistoria',
+      'Acidente/Incidente': 'Fechamento de área',
+      'Segurança': 'Fechamento de área',
+      'Atraso de fornecedor': 'Retorno administrativo',
+      'Falta de material': 'Compra de material'
+    };
+
+    // Locais reconhecidos (o mais longo vence: "banheiro social" antes de "banheiro")
+    this.places = [
+      'banheiro social', 'banheiro da suíte', 'banheiro de serviço', 'banheiro', 'lavabo', 'cozinha', 'área de serviço',
+      'sala de estar', 'sala', 'varanda', 'sacada', 'quarto', 'suíte', 'hall social', 'hall de serviço', 'hall', 'corredor',
+      'escada', 'elevador', 'garagem', 'fachada', 'telhado', 'casa de máquinas', 'casa de bombas', 'shaft hidráulico',
+      'shaft elétrico', 'shaft', 'QDL', 'QGBT', 'reservatório', "caixa d'água", 'piscina', 'playground', 'portaria',
+      'guarita', 'salão de festas', 'academia', 'lixeira', 'jardim', 'muro', 'calçada', 'rampa'
+    ];
+  }
+
+  static normalize(text) {
+    return (text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  }
+
+  /**
+   * @param {string} text - Descrição livre
+   * @param {Object} options - Valores aceitos por campo de lista ({ tipo: [...], acao: [...], prio: [...] })
+   * @returns {Object} { campo: { value, confidence (0-1), source, reason } } apenas para os campos encontrados
+   */
+  classify(text, options = {}) {
+    const normalized = KeywordFieldClassifier.normalize(text);
+    const result = {};
+
+    ['tipo', 'acao', 'prio'].forEach(field => {
+      const best = this.bestCategory(normalized, this.keywords[field], options[field]);
+      if (best) result[field] = best;
+    });
+
+    if (!result.acao && result.tipo && this.defaultAction[result.tipo.value]) {
+      const value = this.defaultAction[result.tipo.value];
+      if (!options.acao || options.acao.includes(value)) {
+        result.acao = { value, confidence: 0.4, source: 'local', reason: `Ação usual para "${result.tipo.value}"` };
+      }
+    }
+
+    const bloco = this.extractBloco(text);
+    if (bloco) result.bloco = bloco;
+
+    const pav = this.extractPavimento(text);
+    if (pav) result.pav = pav;
+
+    const local = this.extractLocal(text);
+    if (local) result.local = local;
+
+    return result;
+  }
+
+  /**
+   * Categoria com mais palavras-chave; confiança cresce com os acertos e com a vantagem sobre a segunda
+   */
+  bestCategory(normalized, categories, allowed) {
+    const scores = Object.entries(categories)
+      .filter(([category]) => !allowed || allowed.includes(category))
+      .map(([category, stems]) => {
+        const hits = stems.filter(stem => new RegExp(`(?<![a-z])${stem}`).test(normalized));
+        return { category, hits };
+      })
+      .filter(score => score.hits.length > 0)
+      .sort((a, b) => b.hits.length - a.hits.length);
+
+    if (!scores.length) return null;
+
+    const [first, second] = scores;
+    const margin = first.hits.length - (second?.hits.length || 0);
+    const confidence = Math.min(0.9, 0.35 + first.hits.length * 0.15 + margin * 0.1);
+
+    return {
+      value: first.category,
+      confidence: Math.round(confidence * 100) / 100,
+      source: 'local',
+      reason: `Palavras-chave: ${first.hits.join(', ')}`
+    };
+  }
+
+  /**
+   * Bloco/torre por número ou letra ("Bloco 2", "Torre B"); "bloco de concreto" não conta,
+   * e "a", "e", "o" em minúscula são lidos como palavra ("bloco e viga")
+   */
+  extractBloco(text) {
+    const match = Array.from(text.matchAll(/\b(bloco|torre)\s+(\d{1,3}|[a-z])\b/gi))
+      .find(m => /\d/.test(m[2]) || !['a', 'e', 'o'].includes(m[2]));
+    if (match) {
+      const name = match[1][0].toUpperCase() + match[1].slice(1).toLowerCase();
+      const confidence = /\d/.test(match[2]) ? 0.75 : 0.6;
+      return { value: `${name} ${match[2].toUpperCase()}`, confidence, source: 'local', reason: `Trecho "${match[0]}"` };
+    }
+
+    const area = /(?<!\p{L})(embasamento|áreas? externas?)(?!\p{L})/iu.exec(text);
+    if (area) {
+      const value = /embasamento/i.test(area[1]) ? 'Embasamento' : 'Áreas externas';
+      return { value, confidence: 0.7, source: 'local', reason: `Trecho "${area[0]}"` };
+    }
+
+    return null;
+  }
+
+  /**
+   * Pavimento ("12º andar", "térreo", "subsolo 2") e unidade ("apto 1203"), no formato do formulário
+   */
+  extractPavimento(text) {
+    const parts = [];
+    const found = [];
+
+    const floor = /\b(\d{1,2})\s*(?:º|°|o)?\s*(?:andar|pavimento|pav\.?)(?![\p{L}])/iu.exec(text);
+    const named = /(?<!\p{L})(térreo|terreo|subsolo(?:\s*\d)?|cobertura|mezanino|pilotis)(?!\p{L})/iu.exec(text);
+    if (floor) {
+      parts.push(`${floor[1]}º`);
+      found.push(floor[0]);
+    } else if (named) {
+      const name = named[1].toLowerCase().replace('terreo', 'térreo');
+      parts.push(name[0].toUpperCase() + name.slice(1));
+      found.push(named[0]);
+    }
+
+    const unit = /\b(?:apto\.?|apartamento|unidade|loja|sala)\s*n?º?\s*(\d{2,4}[a-z]?)\b/i.exec(text);
+    if (unit) {
+      parts.push(unit[1].toUpperCase());
+      found.push(unit[0]);
+    }
+
+    if (!parts.length) return null;
+    return { value: parts.join(' / '), confidence: 0.8, source: 'local', reason: `Trecho "${found.join('", "')}"` };
+  }
+
+  extractLocal(text) {
+    const normalized = KeywordFieldClassifier.normalize(text);
+    const place = [...this.places]
+      .sort((a, b) => b.length - a.length)
+      .find(candidate => new RegExp(`(?<![a-z])${KeywordFieldClassifier.normalize(candidate)}(?![a-z])`).test(normalized));
+
+    if (!place) return null;
+    return { value: place, confidence: 0.6, source: 'local', reason: `Local citado: "${place}"` };
+  }
+}
+
+// Exportar para uso global
+window.KeywordFieldClassifier = KeywordFieldClassifier;
@@ -0,0 +1,212 @@
+/**
+ * Plantas dos Pavimentos
+ * Imagem da planta por obra, bloco e pavimento, marcação (pino) das ocorrências
+ * e recorte da planta em volta do pino para o PDF e o cartão
+ */
+
+class FloorPlans {
+  /**
+   * @param {OccurrenceStore} store - Banco local onde as plantas são persistidas
+   */
+  constructor(store) {
+    this.store = store;
+    this.storeName = 'plans';
+    this.maxSize = 2400; // Maior lado da planta armazenada (px)
+  }
+
+  /**
+   * Sem diferenciar maiúsculas, acentos e espaços
+   */
+  static normalize(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Pavimento do campo "Pavimento / Unidade" ("12º / 1203" → "12º")
+   */
+  static floorOf(pavimento) {
+    return String(pavimento || '').split('/')[0].trim();
+  }
+
+  /**
+   * Uma planta por obra/bloco/pavimento: a chave é o próprio caminho
+   */
+  static keyFor(obra, bloco, pavimento) {
+    return [obra || '', FloorPlans.normalize(bloco), FloorPlans.normalize(FloorPlans.floorOf(pavimento))].join('|');
+  }
+
+  /**
+   * Plantas cadastradas (de uma obra, se informada), por bloco e pavimento
+   */
+  async list(obra) {
+    const objectStore = await this.store.objectStore(this.storeName);
+    const plans = await this.store.request(obra === undefined ? objectStore.getAll() : objectStore.index('obra').getAll(obra || ''));
+    return plans.sort((a, b) => `${a.bloco} ${a.pavimento}`.localeCompare(`${b.bloco} ${b.pavimento}`, 'pt-BR', { numeric: true }));
+  }
+
+  async get(id) {
+    if (!id) return null;
+    const objectStore = await this.store.objectStore(this.storeName);
+    return (await this.store.request(objectStore.get(id))) || null;
+  }
+
+  /**
+   * Planta do local da ocorrência (null se o pavimento não tiver planta)
+   */
+  find(obra, bloco, pavimento) {
+    if (!bloco || !FloorPlans.floorOf(pavimento)) return Promise.resolve(null);
+    return this.get(FloorPlans.keyFor(obra, bloco, pavimento));
+  }
+
+  /**
+   * Salva (ou substitui) a planta de um pavimento; imagens grandes são reduzidas
+   * @param {Object} plan - { obra, bloco, pavimento, file }
+   */
+  async save({ obra = '', bloco, pavimento, file }) {
+    const blocoNome = (bloco || '').trim();
+    const pavimentoNome = FloorPlans.floorOf(pavimento);
+    if (!blocoNome || !pavimentoNome) throw new Error('Informe o bloco e o pavimento da planta');
+    if (!file || !/^image\//.test(file.type)) throw new Error('Envie a planta como imagem (JPG ou PNG); converta PDFs antes');
+
+    const img = await FloorPlans.loadImage(file);
+    const scale = Math.min(1, this.maxSize / Math.max(img.naturalWidth, img.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(img.naturalWidth * scale);
+    canvas.height = Math.round(img.naturalHeight * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.9));
+
+    const plan = {
+      id: FloorPlans.keyFor(obra, blocoNome, pavimentoNome),
+      obra,
+      bloco: blocoNome,
+      pavimento: pavimentoNome,
+      blob,
+      width: canvas.width,
+      height: canvas.height,
+      updatedAt: new Date().toISOString()
+    };
+    const objectStore = await this.store.objectStore(this.storeName, 'readwrite');
+    await this.store.request(objectStore.put(plan));
+    return plan;
+  }
+
+  async remove(id) {
+    const objectStore = await this.store.objectStore(this.storeName, 'readwrite');
+    return this.store.request(objectStore.delete(id));
+  }
+
+  static loadImage(blob) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(blob);
+      const img = new Image();
+      img.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(img);
+      };
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('Não foi possível abrir a imagem da planta'));
+      };
+      img.src = url;
+    });
+  }
+
+  /**
+   * Pino vermelho com a ponta em (x, y); rótulo opcional (número da ocorrência na planta)
+   */
+  static drawPin(ctx, x, y, size, label = '') {
+    const radius = size / 2;
+    const cy = y - size;
+    ctx.save();
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.arc(x, cy, radius, Math.PI * 0.75, Math.PI * 0.25);
+    ctx.closePath();
+    ctx.fillStyle = '#dc2626';
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = Math.max(2, size / 12);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.fillStyle = '#ffffff';
+    if (label) {
+      ctx.font = `bold ${Math.round(radius * 1.1)}px Helvetica, Arial, sans-serif`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(String(label), x, cy);
+    } else {
+      ctx.beginPath();
+      ctx.arc(x, cy, radius / 2.5, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Recorte da planta centrado no pino (fora da planta fica em branco) com o pino desenhado
+   * @param {Object} plan - Planta salva
+   * @param {Object} pin - { x, y } relativos (0 a 1)
+   * @param {Object} options - { width, height, zoom: fração da planta mostrada }
+   * @returns {Promise<string>} data URL JPEG
+   */
+  static async renderExcerpt(plan, pin, { width = 800, height = 600, zoom = 0.4 } = {}) {
+    const img = await FloorPlans.loadImage(plan.blob);
+    const planW = img.naturalWidth;
+    const planH = img.naturalHeight;
+
+    // Área da planta com a proporção do recorte, centrada no pino
+    const cropW = Math.max(planW, planH) * zoom;
+    const cropH = cropW * height / width;
+    const sx = pin.x * planW - cropW / 2;
+    const sy = pin.y * planH - cropH / 2;
+    const scale = width / cropW;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+
+    // Só a parte que existe na planta (origem fora da imagem não desenha em todos os navegadores)
+    const left = Math.max(sx, 0);
+    const top = Math.max(sy, 0);
+    const right = Math.min(sx + cropW, planW);
+    const bottom = Math.min(sy + cropH, planH);
+    if (right > left && bottom > top) {
+      ctx.drawImage(img, left, top, right - left, bottom - top,
+        (left - sx) * scale, (top - sy) * scale, (right - left) * scale, (bottom - top) * scale);
+    }
+    FloorPlans.drawPin(ctx, width / 2, height / 2, Math.round(width / 14));
+
+    ctx.strokeStyle = '#dee2e6';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(1, 1, width - 2, height - 2);
+    return canvas.toDataURL('image/jpeg', 0.88);
+  }
+
+  /**
+   * Planta inteira com os pinos numerados das ocorrências do pavimento
+   * @param {HTMLCanvasElement} canvas - Canvas de destino (redimensionado)
+   * @param {Object[]} pins - [{ x, y, label }]
+   */
+  static async renderPlan(canvas, plan, pins = [], maxSize = 1600) {
+    const img = await FloorPlans.loadImage(plan.blob);
+    const scale = Math.min(1, maxSize / Math.max(img.naturalWidth, img.naturalHeight));
+    canvas.width = Math.round(img.naturalWidth * scale);
+    canvas.height = Math.round(img.naturalHeight * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+    const size = Math.max(28, Math.round(canvas.width / 30));
+    pins.forEach(pin => FloorPlans.drawPin(ctx, pin.x * canvas.width, pin.y * canvas.height, size, pin.label));
+    return canvas;
+  }
+}
+
+// Exportar para uso global
+window.FloorPlans = FloorPlans;
@@ -0,0 +1,223 @@
+/**
+ * Modelo do Formulário
+ * Campos, opções, obrigatoriedade e visibilidade por tipo (templates/ocorrencia.json);
+ * o formulário, a mensagem e o PDF são montados a partir dele
+ */
+
+class FormTemplate {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - JSON do modelo
+   */
+  constructor({ url = 'templates/ocorrencia.json' } = {}) {
+    this.url = url;
+    this.loading = null;
+    this.inputTypes = ['text', 'textarea', 'number', 'date', 'select'];
+
+    // Modelo mínimo até o JSON carregar (mesmos campos fixos do formulário)
+    this.apply({
+      secoes: [{ id: 'identificacao', titulo: 'IDENTIFICAÇÃO DA OCORRÊNCIA' }, { id: 'acoes', titulo: 'AÇÕES E PRIORIDADES' }],
+      campos: [
+        { id: 'tipo', base: true, rotulo: 'Tipo', secao: 'identificacao' },
+        { id: 'bloco', base: true, rotulo: 'Bloco/Setor', icone: '📍', secao: 'identificacao' },
+        { id: 'pavimento', base: true, rotulo: 'Pavimento', mensagem: 'Pav/Unidade', icone: '🏢', secao: 'identificacao' },
+        { id: 'local', base: true, rotulo: 'Local', icone: '🧭', secao: 'identificacao' },
+        { id: 'descricao', base: true, rotulo: 'Descrição', icone: '📝', secao: 'identificacao', largo: true },
+        { id: 'acao', base: true, rotulo: 'Ação', mensagem: 'Ação solicitada', icone: '🛠️', secao: 'acoes' },
+        { id: 'prioridade', base: true, rotulo: 'Prioridade', icone: '⚡', secao: 'acoes' },
+        { id: 'prazo', base: true, rotulo: 'Prazo', mensagem: 'Prazo desejado', icone: '📅', secao: 'acoes' },
+        { id: 'responsavel', base: true, rotulo: 'Responsável', mensagem: 'Responsável/Equipe', icone: '👷', secao: 'acoes' }
+      ]
+    });
+  }
+
+  load() {
+    if (!this.loading) {
+      this.loading = fetch(this.url)
+        .then(response => response.json())
+        .then(template => this.apply(template))
+        .catch(error => console.warn('Modelo do formulário indisponível, usando campos padrão:', error));
+    }
+    return this.loading;
+  }
+
+  /**
+   * Valida e adota um modelo; campos inválidos são descartados com aviso
+   */
+  apply(template) {
+    if (!Array.isArray(template?.campos) || !Array.isArray(template?.secoes)) {
+      throw new Error('Modelo inválido: informe "secoes" e "campos"');
+    }
+
+    this.sections = template.secoes;
+    this.signatures = {
+      papeis: template.assinaturas?.papeis || ['Relator', 'Responsável'],
+      obrigatoriasPara: template.assinaturas?.obrigatoriasPara || []
+    };
+    this.fields = template.campos.filter(field => {
+      const error = this.validateField(field);
+      if (error) console.warn(`Campo ignorado (${field?.id}): ${error}`);
+      return !error;
+    });
+    return this;
+  }
+
+  validateField(field) {
+    if (!field?.id || !field.rotulo) return 'informe "id" e "rotulo"';
+    if (!this.sections.some(section => section.id === field.secao)) return `seção "${field.secao}" inexistente`;
+    if (!field.base && !this.inputTypes.includes(field.tipo)) return `tipo deve ser ${this.inputTypes.join('|')}`;
+    if (field.tipo === 'select' && !field.opcoes?.length) return 'campo de lista sem "opcoes"';
+    return null;
+  }
+
+  field(id) {
+    return this.fields.find(field => field.id === id);
+  }
+
+  /**
+   * Opções de um campo de lista (null se o modelo não definir)
+   */
+  options(id) {
+    return this.field(id)?.opcoes || null;
+  }
+
+  /**
+   * Papéis de quem assina o relatório (ex.: Relator, Responsável)
+   */
+  signatureRoles() {
+    return this.signatures.papeis;
+  }
+
+  /**
+   * Tipos contratuais exigem todas as assinaturas antes do PDF
+   */
+  signaturesRequired(tipo) {
+    return this.signatures.obrigatoriasPara.includes(tipo);
+  }
+
+  /**
+   * Campos específicos do tipo (sem "tipos" valem para todos)
+   */
+  customFields(tipo) {
+    return this.fields.filter(field => !field.base && (!field.tipos?.length || field.tipos.includes(tipo)));
+  }
+
+  /**
+   * Visibilidade condicional: { campo, valores } compara com outro campo (fixo ou específico)
+   */
+  isVisible(field, values) {
+    if (field.tipos?.length && !field.tipos.includes(values.tipo)) return false;
+    const condition = field.visivelSe;
+    if (!condition) return true;
+    const current = values[condition.campo] ?? values.extras?.[condition.campo] ?? '';
+    return condition.valores.includes(current);
+  }
+
+  /**
+   * Campos obrigatórios visíveis e vazios
+   * @param {Object} values - Dados do formulário (campos fixos e extras)
+   * @returns {string[]} rótulos faltantes
+   */
+  missing(values) {
+    return this.fields
+      .filter(field => field.obrigatorio && this.isVisible(field, values))
+      .filter(field => !String((field.base ? values[field.id] : values.extras?.[field.id]) ?? '').trim())
+      .map(field => field.rotulo);
+  }
+
+  /**
+   * Cria os campos específicos do tipo no contêiner, preservando os valores informados
+   */
+  render(container, tipo, extras = {}) {
+    container.innerHTML = '';
+
+    this.customFields(tipo).forEach(field => {
+      const label = document.createElement('label');
+      label.dataset.field = field.id;
+      if (field.largo) label.classList.add('wide');
+      label.append(`${field.rotulo}${field.obrigatorio ? ' *' : ''}`);
+
+      let input;
+      if (field.tipo === 'select') {
+        input = document.createElement('select');
+        input.add(new Option('Selecione…', ''));
+        field.opcoes.forEach(option => input.add(new Option(option)));
+      } else {
+        input = document.createElement(field.tipo === 'textarea' ? 'textarea' : 'input');
+        if (field.tipo !== 'textarea') input.type = field.tipo;
+        if (field.placeholder) input.placeholder = field.placeholder;
+      }
+      input.name = field.id;
+      input.value = extras[field.id] ?? '';
+      input.addEventListener('input', () => this.refresh(container, tipo));
+      label.appendChild(input);
+      container.appendChild(label);
+    });
+
+    this.refresh(container, tipo);
+  }
+
+  /**
+   * Reaplica a visibilidade condicional após uma mudança de valor
+   */
+  refresh(container, tipo) {
+    const values = { tipo, extras: this.collect(container, { all: true }) };
+    container.querySelectorAll('[data-field]').forEach(label => {
+      label.style.display = this.isVisible(this.field(label.dataset.field), values) ? '' : 'none';
+    });
+    container.style.display = container.querySelector('[data-field]:not([style*="none"])') ? '' : 'none';
+  }
+
+  /**
+   * Valores dos campos específicos (só os visíveis, salvo { all: true })
+   */
+  collect(container, { all = false } = {}) {
+    const extras = {};
+    container.querySelectorAll('[data-field]').forEach(label => {
+      if (!all && label.style.display === 'none') return;
+      const value = label.querySelector('[name]').value.trim();
+      if (value) extras[label.dataset.field] = value;
+    });
+    return extras;
+  }
+
+  /**
+   * Valor exibido de um campo no relatório (datas dos campos específicos em dd/mm/aaaa)
+   */
+  displayValue(field, report) {
+    const value = field.base ? report[field.id] : report.extras?.[field.id];
+    if (field.tipo === 'date' && value) return value.split('-').reverse().join('/');
+    return value;
+  }
+
+  /**
+   * Seções do PDF: [{ titulo, campos: [{ rotulo, valor, largo }] }], sem seções vazias
+   * @param {Object} report - Ocorrência no formato do relatório (com extras e tipoOriginal)
+   */
+  reportSections(report) {
+    const values = { ...report, tipo: report.tipoOriginal || report.tipo };
+    return this.sections.map(section => ({
+      titulo: section.titulo,
+      campos: this.fields
+        .filter(field => field.secao === section.id && this.isVisible(field, values))
+        .map(field => ({ field, valor: this.displayValue(field, report) }))
+        .filter(({ field, valor }) => field.base || valor)
+        .map(({ field, valor }) => ({ rotulo: field.rotulo, valor, largo: !!field.largo }))
+    })).filter(section => section.campos.length);
+  }
+
+  /**
+   * Linhas da mensagem de WhatsApp ("*📍 Bloco/Setor:* 2"); campos específicos vazios são omitidos
+   */
+  messageLines(report) {
+    const values = { ...report, tipo: report.tipoOriginal || report.tipo };
+    return this.fields
+      .filter(field => this.isVisible(field, values))
+      .map(field => [field, this.displayValue(field, report)])
+      .filter(([field, value]) => field.base || value)
+      .map(([field, value]) => `*${field.icone ? `${field.icone} ` : ''}${field.mensagem || field.rotulo}:* ${value || '-'}`);
+  }
+}
+
+// Exportar para uso global
+window.FormTemplate = FormTemplate;
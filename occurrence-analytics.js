@@ -0,0 +1,156 @@
+/**
+ * Indicadores das Ocorrências
+ * Agrupamentos por tipo, bloco/pavimento, prioridade, responsável e semana,
+ * com ocorrências em aberto e tempo de resolução comparado ao prazo
+ */
+
+class OccurrenceAnalytics {
+  /**
+   * @param {OccurrenceStore} store - Banco local das ocorrências (datas no fuso de Brasília)
+   */
+  constructor(store) {
+    this.store = store;
+    this.closedStatuses = ['Resolvida', 'Encerrada'];
+    this.empty = '(não informado)';
+
+    // Dimensões dos gráficos: chave de agrupamento de cada ocorrência salva
+    this.dimensions = {
+      tipo: { titulo: 'Ocorrências por tipo', key: data => data.tipo },
+      bloco: { titulo: 'Ocorrências por bloco/setor', key: data => data.bloco },
+      pavimento: {
+        titulo: 'Ocorrências por bloco e pavimento',
+        key: data => [data.bloco, String(data.pavimento || '').split('/')[0]].map(part => (part || '').trim()).filter(Boolean).join(' • ')
+      },
+      prioridade: { titulo: 'Ocorrências por prioridade', key: data => data.prioridade },
+      responsavel: { titulo: 'Ocorrências por responsável', key: data => data.responsavel },
+      semana: { titulo: 'Ocorrências por semana de registro', key: (data, record) => this.weekOf(record.createdAt) }
+    };
+  }
+
+  isOpen(record) {
+    return !this.closedStatuses.includes(record.status || 'Aberta');
+  }
+
+  /**
+   * "3,2 d" (ou "-" sem valor), para a tela, os gráficos e o PDF
+   */
+  static formatDays(value) {
+    return value === null || value === undefined ? '-' : `${value.toFixed(1).replace('.', ',')} d`;
+  }
+
+  /**
+   * Dias entre dois dias AAAA-MM-DD
+   */
+  static daysBetween(from, to) {
+    return Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+  }
+
+  /**
+   * Resolução pelo histórico de status: só para ocorrências fechadas agora, contada na
+   * passagem para Resolvida/Encerrada depois da última reabertura
+   * @returns {Object|null} { dias, prazoDias, noPrazo } (prazo nulo quando não informado)
+   */
+  resolution(record) {
+    if (this.isOpen(record)) return null;
+
+    const history = record.history || [];
+    const reopened = history.map(e => this.closedStatuses.includes(e.to)).lastIndexOf(false);
+    const entry = history.slice(reopened + 1).find(e => e.atIso);
+    if (!entry) return null;
+
+    const prazo = record.data?.prazo;
+    const createdDay = this.store.toBrDay(record.createdAt);
+    return {
+      dias: Math.max(0, (Date.parse(entry.atIso) - Date.parse(record.createdAt)) / 86400000),
+      prazoDias: prazo ? Math.max(0, OccurrenceAnalytics.daysBetween(createdDay, prazo)) : null,
+      noPrazo: prazo ? this.store.toBrDay(entry.atIso) <= prazo : null
+    };
+  }
+
+  /**
+   * Em aberto com prazo já passado
+   */
+  isOverdue(record, today) {
+    const prazo = record.data?.prazo;
+    return Boolean(prazo && prazo < today && this.isOpen(record));
+  }
+
+  /**
+   * Segunda-feira (AAAA-MM-DD) da semana de um instante ISO, no fuso de Brasília
+   */
+  weekOf(iso) {
+    const day = this.store.toBrDay(iso);
+    if (!day) return '';
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Indicadores de um conjunto de ocorrências
+   * @returns {Object} { total, abertas, criticasAbertas, vencidas, resolvidas, mediaDias, mediaPrazoDias, noPrazo (%) }
+   */
+  summarize(records) {
+    const today = this.store.toBrDay(new Date().toISOString());
+    const resolutions = records.map(record => this.resolution(record)).filter(Boolean);
+    const withPrazo = resolutions.filter(r => r.prazoDias !== null);
+    const average = values => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+    return {
+      total: records.length,
+      abertas: records.filter(record => this.isOpen(record)).length,
+      criticasAbertas: records.filter(record => this.isOpen(record) && record.data?.prioridade === 'Crítica').length,
+      vencidas: records.filter(record => this.isOverdue(record, today)).length,
+      resolvidas: resolutions.length,
+      mediaDias: average(resolutions.map(r => r.dias)),
+      mediaPrazoDias: average(withPrazo.map(r => r.prazoDias)),
+      noPrazo: withPrazo.length ? Math.round(withPrazo.filter(r => r.noPrazo).length * 100 / withPrazo.length) : null
+    };
+  }
+
+  /**
+   * Agrupa pela dimensão; semanas em ordem cronológica (sem lacunas), demais pelo total
+   * @param {Object[]} records - Ocorrências salvas
+   * @param {string} dimension - tipo | bloco | pavimento | prioridade | responsavel | semana
+   * @returns {Object[]} [{ chave, rotulo, records, ...summarize(records) }]
+   */
+  groupBy(records, dimension) {
+    const { key } = this.dimensions[dimension];
+    const groups = new Map();
+    records.forEach(record => {
+      const chave = String(key(record.data || {}, record) || '').trim() || this.empty;
+      if (!groups.has(chave)) groups.set(chave, []);
+      groups.get(chave).push(record);
+    });
+
+    if (dimension === 'semana') this.fillWeeks(groups);
+
+    const rows = Array.from(groups, ([chave, items]) => ({
+      chave,
+      rotulo: dimension === 'semana' ? chave.split('-').reverse().slice(0, 2).join('/') : chave,
+      records: items,
+      ...this.summarize(items)
+    }));
+    return dimension === 'semana'
+      ? rows.sort((a, b) => a.chave.localeCompare(b.chave))
+      : rows.sort((a, b) => b.total - a.total || a.chave.localeCompare(b.chave, 'pt-BR'));
+  }
+
+  /**
+   * Semanas sem registro entram zeradas, para a tendência não pular períodos
+   */
+  fillWeeks(groups) {
+    const weeks = Array.from(groups.keys()).sort();
+    if (weeks.length < 2) return;
+    const date = new Date(`${weeks[0]}T00:00:00Z`);
+    const last = weeks[weeks.length - 1];
+    while (date.toISOString().slice(0, 10) < last) {
+      date.setUTCDate(date.getUTCDate() + 7);
+      const week = date.toISOString().slice(0, 10);
+      if (!groups.has(week)) groups.set(week, []);
+    }
+  }
+}
+
+// Exportar para uso global
+window.OccurrenceAnalytics = OccurrenceAnalytics;
@@ -0,0 +1,217 @@
+/**
+ * Exportação e Importação de Ocorrências
+ * Planilha (CSV/XLSX) para o planejamento e pacote ZIP com fotos para restaurar em outro aparelho
+ */
+
+class OccurrenceExporter {
+  /**
+   * @param {OccurrenceStore} store - Banco local das ocorrências
+   * @param {ProjectRegistry} registry - Cadastro de obras (vai junto no pacote)
+   */
+  constructor(store, registry) {
+    this.store = store;
+    this.registry = registry;
+    this.bundleVersion = 1;
+
+    // Colunas da planilha, na ordem exibida
+    this.columns = [
+      ['Referência', record => record.reference],
+      ['Obra', (record, data) => data.obraNome],
+      ['Tipo', (record, data) => (data.tipo === 'Outros' && data.outroTexto ? `Outros: ${data.outroTexto}` : data.tipo)],
+      ['Bloco/Setor', (record, data) => data.bloco],
+      ['Pavimento/Unidade', (record, data) => data.pavimento],
+      ['Local', (record, data) => data.local],
+      ['Latitude', (record, data) => (data.gps ? Number(data.gps.lat.toFixed(6)) : '')],
+      ['Longitude', (record, data) => (data.gps ? Number(data.gps.lon.toFixed(6)) : '')],
+      ['Precisão GPS (m)', (record, data) => (data.gps ? Math.round(data.gps.precisao) : '')],
+      ['Descrição', (record, data) => data.descricao],
+      ['Ação solicitada', (record, data) => data.acao],
+      ['Prioridade', (record, data) => data.prioridade],
+      ['Prazo', (record, data) => (data.prazo ? data.prazo.split('-').reverse().join('/') : '')],
+      ['Responsável/Equipe', (record, data) => data.responsavel],
+      ['Status', record => record.status || 'Aberta'],
+      ['Registrada em', record => record.createdAtBr],
+      ['Criada (ISO)', record => record.createdAt],
+      ['Atualizada (ISO)', record => record.updatedAt],
+      ['Fotos', record => (record.photos || []).length + (record.afterPhotos || []).length]
+    ];
+  }
+
+  rows(records) {
+    return records.map(record => this.columns.map(([, value]) => {
+      const cell = value(record, record.data || {});
+      return cell === undefined || cell === null ? '' : cell;
+    }));
+  }
+
+  /**
+   * CSV separado por ";" com BOM, como o Excel em português espera
+   * (números com vírgula decimal; texto iniciado por = + - @ vai com ' para não virar fórmula)
+   */
+  toCSV(records) {
+    const escape = cell => {
+      if (typeof cell === 'number') return String(cell).replace('.', ',');
+      const text = /^[=+\-@\t\r]/.test(String(cell)) ? `'${cell}` : String(cell);
+      return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [this.columns.map(([label]) => label), ...this.rows(records)].map(row => row.map(escape).join(';'));
+    return new Blob(['\uFEFF' + lines.join('\r\n')], { type: 'text/csv;charset=utf-8' });
+  }
+
+  /**
+   * Planilha XLSX mínima (uma aba, cabeçalho em negrito e fixo); texto sempre como
+   * string embutida, nunca como fórmula
+   */
+  async toXLSX(records) {
+    const xml = text => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]))
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+    const columnName = index => {
+      let name = '';
+      for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+      return name;
+    };
+    const cell = (value, row, column, style = 0) => {
+      const ref = `${columnName(column)}${row}`;
+      if (typeof value === 'number') return `<c r="${ref}" s="${style}"><v>${value}</v></c>`;
+      return `<c r="${ref}" s="${style}" t="inlineStr"><is><t xml:space="preserve">${xml(value)}</t></is></c>`;
+    };
+
+    const header = this.columns.map(([label], column) => cell(label, 1, column, 1)).join('');
+    const body = this.rows(records).map((row, index) =>
+      `<row r="${index + 2}">${row.map((value, column) => cell(value, index + 2, column)).join('')}</row>`).join('');
+    const widths = this.columns.map(([label], index) =>
+      `<col min="${index + 1}" max="${index + 1}" width="${label === 'Descrição' ? 60 : 18}" customWidth="1"/>`).join('');
+
+    const zip = new ZipArchive();
+    await zip.add('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      '</Types>');
+    await zip.add('_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>');
+    await zip.add('xl/workbook.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      '<sheets><sheet name="Ocorrências" sheetId="1" r:id="rId1"/></sheets></workbook>');
+    await zip.add('xl/_rels/workbook.xml.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+      '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+      '</Relationships>');
+    await zip.add('xl/styles.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+      '</styleSheet>');
+    await zip.add('xl/worksheets/sheet1.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+      `<cols>${widths}</cols><sheetData><row r="1">${header}</row>${body}</sheetData></worksheet>`);
+
+    return zip.toBlob('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  }
+
+  /**
+   * Pacote completo: ocorrencias.json (com obras) e as fotos em fotos/
+   */
+  async toBundle(records) {
+    const zip = new ZipArchive();
+    const extension = type => (/png/.test(type) ? 'png' : /webp/.test(type) ? 'webp' : 'jpg');
+
+    const packPhotos = async (record, photos = [], folder) => {
+      const packed = [];
+      for (const [index, photo] of photos.entries()) {
+        const path = `fotos/${record.id}/${folder}-${index + 1}.${extension(photo.type)}`;
+        await zip.add(path, photo.blob);
+        const { blob, ...info } = photo;
+        packed.push({ ...info, path });
+      }
+      return packed;
+    };
+
+    const occurrences = [];
+    for (const record of records) {
+      occurrences.push({
+        ...record,
+        photos: await packPhotos(record, record.photos, 'antes'),
+        afterPhotos: await packPhotos(record, record.afterPhotos, 'depois')
+      });
+    }
+
+    const manifest = {
+      formato: 'registro-ocorrencias',
+      versao: this.bundleVersion,
+      exportadoEm: new Date().toISOString(),
+      obras: this.registry ? await this.registry.list() : [],
+      ocorrencias: occurrences
+    };
+    await zip.add('ocorrencias.json', JSON.stringify(manifest, null, 2));
+    return zip.toBlob();
+  }
+
+  /**
+   * Restaura um pacote ZIP (ou só o ocorrencias.json, sem fotos)
+   * Ocorrências já existentes só são substituídas pela versão mais recente; fotos que não vieram
+   * no pacote são mantidas do registro local
+   * @returns {Promise<Object>} { imported, skipped, projects, missingPhotos }
+   */
+  async importBundle(file) {
+    const isZip = /\.zip$/i.test(file.name) || file.type === 'application/zip';
+    const files = isZip ? await ZipArchive.read(file) : new Map([['ocorrencias.json', new Uint8Array(await file.arrayBuffer())]]);
+    const json = files.get('ocorrencias.json');
+    if (!json) throw new Error('Pacote sem o arquivo ocorrencias.json');
+
+    const manifest = JSON.parse(new TextDecoder().decode(json));
+    if (manifest.formato !== 'registro-ocorrencias' || !Array.isArray(manifest.ocorrencias)) {
+      throw new Error('Arquivo não é um pacote de ocorrências deste aplicativo');
+    }
+
+    let missingPhotos = 0;
+    // Foto sem arquivo no pacote (ex.: só o ocorrencias.json): usa a do registro local, se houver
+    const unpackPhotos = (photos = [], localPhotos = []) => photos.flatMap(({ path, ...info }, index) => {
+      if (files.has(path)) return [{ ...info, blob: new Blob([files.get(path)], { type: info.type || 'image/jpeg' }) }];
+      const local = info.id ? localPhotos.find(photo => photo.id === info.id) : localPhotos[index];
+      if (local) return [local];
+      missingPhotos++;
+      return [];
+    });
+
+    let projects = 0;
+    for (const project of manifest.obras || []) {
+      if (!(await this.registry.get(project.id))) {
+        await this.registry.save(project);
+        projects++;
+      }
+    }
+
+    let imported = 0;
+    let skipped = 0;
+    for (const record of manifest.ocorrencias) {
+      const current = await this.store.get(record.id);
+      if (current && (current.updatedAt || '') >= (record.updatedAt || '')) {
+        skipped++;
+        continue;
+      }
+      const objectStore = await this.store.objectStore('occurrences', 'readwrite');
+      await this.store.request(objectStore.put({
+        ...record,
+        photos: unpackPhotos(record.photos, current?.photos),
+        afterPhotos: unpackPhotos(record.afterPhotos, current?.afterPhotos)
+      }));
+      imported++;
+    }
+
+    return { imported, skipped, projects, missingPhotos };
+  }
+}
+
+// Exportar para uso global
+window.OccurrenceExporter = OccurrenceExporter;
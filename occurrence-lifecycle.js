@@ -0,0 +1,99 @@
+/**
+ * Ciclo de Vida das Ocorrências
+ * Status (Aberta → Em andamento → Resolvida → Encerrada) com trilha de auditoria
+ */
+
+class OccurrenceLifecycle {
+  /**
+   * @param {Function} now - Fornece o carimbo de data/hora exibido (ex.: nowBr)
+   */
+  constructor(now = () => new Date().toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' })) {
+    this.now = now;
+    this.statuses = ['Aberta', 'Em andamento', 'Resolvida', 'Encerrada'];
+
+    // Transições permitidas (Resolvida pode voltar para andamento se houver retrabalho)
+    this.transitions = {
+      'Aberta': ['Em andamento', 'Resolvida'],
+      'Em andamento': ['Resolvida'],
+      'Resolvida': ['Encerrada', 'Em andamento'],
+      'Encerrada': []
+    };
+
+    // Status que aceitam fotos do "depois"
+    this.photoStatuses = ['Resolvida', 'Encerrada'];
+  }
+
+  getStatus(record) {
+    return record?.status || this.statuses[0];
+  }
+
+  nextStatuses(record) {
+    return this.transitions[this.getStatus(record)] || [];
+  }
+
+  canTransition(record, to) {
+    return this.nextStatuses(record).includes(to);
+  }
+
+  acceptsPhotos(status) {
+    return this.photoStatuses.includes(status);
+  }
+
+  /**
+   * Cria a entrada de auditoria
+   */
+  createEntry(from, to, { by, note = '', photoCount = 0 } = {}) {
+    return {
+      from,
+      to,
+      at: this.now(),
+      atIso: new Date().toISOString(),
+      by: by || '-',
+      note: note.trim(),
+      photoCount
+    };
+  }
+
+  /**
+   * Define o status inicial de uma ocorrência recém-registrada
+   */
+  initialize(record, { by, note = 'Ocorrência registrada' } = {}) {
+    if (record.status) return record;
+
+    return {
+      ...record,
+      status: this.statuses[0],
+      history: [this.createEntry(null, this.statuses[0], { by, note })],
+      afterPhotos: record.afterPhotos || []
+    };
+  }
+
+  /**
+   * Move a ocorrência para um novo status registrando quem, quando e por quê
+   */
+  transition(record, to, { by, note = '', photos = [] } = {}) {
+    const from = this.getStatus(record);
+
+    if (!this.canTransition(record, to)) {
+      throw new Error(`Transição inválida: ${from} → ${to}`);
+    }
+    if (!by || !by.trim()) {
+      throw new Error('Informe quem está alterando o status');
+    }
+    if (photos.length > 0 && !this.acceptsPhotos(to)) {
+      throw new Error(`O status "${to}" não aceita fotos de conclusão`);
+    }
+
+    const entry = this.createEntry(from, to, { by: by.trim(), note, photoCount: photos.length });
+
+    return {
+      ...record,
+      status: to,
+      history: [...(record.history || []), entry],
+      afterPhotos: [...(record.afterPhotos || []), ...photos]
+    };
+  }
+}
+
+// Exportar para uso global
+window.OccurrenceLifecycle = OccurrenceLifecycle;
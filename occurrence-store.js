@@ -0,0 +1,189 @@
+/**
+ * Armazenamento Local de Ocorrências
+ * Histórico persistente em IndexedDB com fotos, referência e busca por filtros
+ */
+
+class OccurrenceStore {
+  constructor(dbName = 'registro-ocorrencias') {
+    this.dbName = dbName;
+    this.version = 5;
+    this.db = null;
+    this.timeZone = 'America/Sao_Paulo';
+  }
+
+  /**
+   * Abre (ou cria) o banco local
+   */
+  async open() {
+    if (this.db) return this.db;
+
+    this.db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, this.version);
+      request.onupgradeneeded = event => this.upgrade(request.result, event.oldVersion);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Banco de dados bloqueado por outra aba aberta'));
+    });
+
+    return this.db;
+  }
+
+  /**
+   * Cria as estruturas de cada versão do banco
+   */
+  upgrade(db, oldVersion) {
+    if (oldVersion < 1) {
+      const occurrences = db.createObjectStore('occurrences', { keyPath: 'id' });
+      occurrences.createIndex('reference', 'reference');
+      occurrences.createIndex('createdAt', 'createdAt');
+    }
+    if (oldVersion < 2) {
+      // Fila de compartilhamentos pendentes (registros feitos sem conexão)
+      db.createObjectStore('outbox', { keyPath: 'id' });
+    }
+    if (oldVersion < 3) {
+      // Cadastro de obras (blocos, pavimentos, unidades e locais)
+      db.createObjectStore('projects', { keyPath: 'id' });
+    }
+    if (oldVersion < 4) {
+      // Contadores da numeração sequencial por obra/ano/aparelho
+      db.createObjectStore('counters', { keyPath: 'id' });
+    }
+    if (oldVersion < 5) {
+      // Plantas dos pavimentos (imagem por obra/bloco/pavimento)
+      const plans = db.createObjectStore('plans', { keyPath: 'id' });
+      plans.createIndex('obra', 'obra');
+    }
+  }
+
+  /**
+   * Converte uma requisição IndexedDB em Promise
+   */
+  request(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  async objectStore(name, mode = 'readonly') {
+    const db = await this.open();
+    return db.transaction(name, mode).objectStore(name);
+  }
+
+  generateId() {
+    if (window.crypto?.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  /**
+   * Salva (cria ou atualiza) uma ocorrência
+   */
+  async save(record) {
+    const now = new Date().toISOString();
+    const toSave = {
+      ...record,
+      id: record.id || this.generateId(),
+      createdAt: record.createdAt || now,
+      updatedAt: now
+    };
+
+    const store = await this.objectStore('occurrences', 'readwrite');
+    await this.request(store.put(toSave));
+    return toSave;
+  }
+
+  async get(id) {
+    const store = await this.objectStore('occurrences');
+    return this.request(store.get(id));
+  }
+
+  async remove(id) {
+    const store = await this.objectStore('occurrences', 'readwrite');
+    return this.request(store.delete(id));
+  }
+
+  async getAll() {
+    const store = await this.objectStore('occurrences');
+    return this.request(store.getAll());
+  }
+
+  /**
+   * Busca ocorrências por tipo, bloco, pavimento, prioridade, status e período
+   * (datas no formato AAAA-MM-DD, comparadas no fuso de Brasília)
+   */
+  async search(filters = {}) {
+    const all = await this.getAll();
+    return all
+      .filter(record => this.matches(record, filters))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  matches(record, filters) {
+    const data = record.data || {};
+
+    if (filters.obra && data.obra !== filters.obra) return false;
+    if (filters.tipo && data.tipo !== filters.tipo) return false;
+    if (filters.prioridade && data.prioridade !== filters.prioridade) return false;
+    if (filters.status && (record.status || 'Aberta') !== filters.status) return false;
+    if (filters.bloco && !this.contains(data.bloco, filters.bloco)) return false;
+    if (filters.pavimento && !this.contains(data.pavimento, filters.pavimento)) return false;
+
+    const day = this.toBrDay(record.createdAt);
+    if (filters.from && day < filters.from) return false;
+    if (filters.to && day > filters.to) return false;
+
+    return true;
+  }
+
+  /**
+   * Comparação parcial sem diferenciar maiúsculas e acentos
+   */
+  contains(value, term) {
+    const normalize = s => String(s || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    return normalize(value).includes(normalize(term).trim());
+  }
+
+  /**
+   * Data (AAAA-MM-DD) de um instante ISO no fuso de Brasília
+   */
+  toBrDay(iso) {
+    if (!iso) return '';
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: this.timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }).format(new Date(iso));
+  }
+
+  /**
+   * Converte as fotos do formulário em registros armazenáveis (Blob)
+   */
+  static serializePhotos(photos = []) {
+    return photos.map(({ id, file, meta }) => ({
+      id,
+      name: file.name,
+      type: file.type,
+      lastModified: file.lastModified,
+      meta: meta || null,
+      blob: file
+    }));
+  }
+
+  /**
+   * Reconstrói as fotos no formato usado pelo formulário e pelo PDF
+   */
+  static deserializePhotos(photos = []) {
+    return photos.map(photo => {
+      const file = new File([photo.blob], photo.name || 'foto.jpg', {
+        type: photo.type || photo.blob.type,
+        lastModified: photo.lastModified || Date.now()
+      });
+      return { id: photo.id, file, url: URL.createObjectURL(file), meta: photo.meta || null };
+    });
+  }
+}
+
+// Exportar para uso global
+window.OccurrenceStore = OccurrenceStore;
@@ -1,6 +1,7 @@
 /**
  * Gerador de PDF Profissional para Relatórios de Ocorrência
- * Versão System Engenharia - Layout técnico e conciso em 1 página
+ * Marca configurável (perfil padrão System Engenharia) - Layout técnico e conciso em 1 página
+ * ou layout completo em várias páginas (descrição integral e todas as fotos)
  */
 
 class SystemEngenhariaPDFGenerator {
@@ -10,7 +11,7 @@ class SystemEngenhariaPDFGenerator {
     this.margin = 15;
     this.contentWidth = this.pageWidth - 2 * this.margin;
     
-    // Paleta de cores da System Engenharia
+    // Paleta de cores padrão (System Engenharia); applyBranding troca primária e secundária
     this.colors = {
       primary: [0, 123, 255],      // Azul principal #007bff
       secondary: [40, 167, 69],    // Verde #28a745
@@ -21,65 +22,166 @@ class SystemEngenhariaPDFGenerator {
     };
     
     // Logo da System Engenharia (base64 será carregado dinamicamente)
+    this.logoUrl = 'assets/system_engenharia_logo.png';
     this.logoBase64 = null;
+    this.logoAspect = 4;
+    this.companyName = 'System Engenharia';
+    this.footerText = 'System Engenharia - Relatório Técnico Automatizado | www.systemengenharia.com.br';
+
+    // Cliente (co-branding opcional no canto do cabeçalho)
+    this.clientName = '';
+    this.clientLogoUrl = '';
+    this.clientLogo = null;
+
+    // Fotos: 'contain' (letterbox) ou 'cover' (recorte); resolução em px por mm
+    this.photoFit = 'contain';
+    this.photoPxPerMm = 8;
+
+    this.title = 'RELATÓRIO TÉCNICO DE OCORRÊNCIA';
+
+    // 'compact' (1 página) ou 'complete' (multipágina)
+    this.layout = 'compact';
+    this.reference = '';
+    this.projectName = ''; // Obra impressa no cabeçalho de cada página
+  }
+
+  get isComplete() {
+    return this.layout === 'complete';
+  }
+
+  /**
+   * Aplica um perfil de marca (BrandingProfiles): logo, cores, empresa, título, rodapé e cliente
+   */
+  applyBranding(profile) {
+    if (!profile) return this;
+    this.colors = {
+      ...this.colors,
+      primary: BrandingProfiles.hexToRgb(profile.corPrimaria),
+      secondary: BrandingProfiles.hexToRgb(profile.corSecundaria)
+    };
+    this.logoUrl = profile.logo;
+    this.companyName = profile.empresa;
+    this.title = profile.titulo;
+    this.footerText = profile.rodape;
+    this.clientName = profile.cliente?.nome || '';
+    this.clientLogoUrl = profile.cliente?.logo || '';
+    return this;
   }
 
   async loadLogo() {
+    const logo = await this.loadImageData(this.logoUrl);
+    if (logo) {
+      [this.logoBase64, this.logoAspect] = logo;
+    } else {
+      console.warn('Logo não encontrado, usando texto alternativo');
+    }
+    this.clientLogo = this.clientLogoUrl ? await this.loadImageData(this.clientLogoUrl) : null;
+  }
+
+  /**
+   * Imagem em PNG sobre fundo branco, mantendo a proporção original
+   * @returns {Promise<Array|null>} [dataUrl, aspecto] ou null se não carregar
+   */
+  async loadImageData(url) {
     try {
-      // Tentar carregar o logo da System Engenharia
       const img = new Image();
       const canvas = document.createElement('canvas');
       const ctx = canvas.getContext('2d');
       
-      await new Promise((resolve, reject) => {
+      return await new Promise(resolve => {
         img.onload = () => {
-          canvas.width = 200;
-          canvas.height = 50;
+          canvas.width = img.naturalWidth;
+          canvas.height = img.naturalHeight;
           ctx.fillStyle = '#ffffff';
           ctx.fillRect(0, 0, canvas.width, canvas.height);
           ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-          this.logoBase64 = canvas.toDataURL('image/png');
-          resolve();
-        };
-        img.onerror = () => {
-          console.warn('Logo não encontrado, usando texto alternativo');
-          resolve();
+          resolve([canvas.toDataURL('image/png'), img.naturalWidth / img.naturalHeight]);
         };
-        img.src = 'system_engenharia_logo.png';
+        img.onerror = () => resolve(null);
+        img.src = url;
       });
     } catch (error) {
-      console.warn('Erro ao carregar logo:', error);
+      console.warn('Erro ao carregar imagem:', error);
+      return null;
     }
   }
 
-  async generateReport(formData, photos = []) {
+  /**
+   * Gera o relatório de uma ocorrência
+   * @param {Object} formData - Campos do relatório (com status/timeline opcionais;
+   *   signatures [{ papel, nome, imagem, at, desatualizada }] e integrity { hash, url } para a autenticação)
+   * @param {Array} photos - Fotos da ocorrência ({ url, file, meta })
+   * @param {Object} options - { afterPhotos, layout: 'compact' | 'complete' }
+   */
+  async generateReport(formData, photos = [], options = {}) {
     const { jsPDF } = window.jspdf;
     const pdf = new jsPDF('p', 'mm', 'a4');
+    this.layout = options.layout || 'compact';
+    this.reference = formData.reference;
+    this.projectName = formData.obra || '';
     
     // Carregar logo antes de gerar o PDF
     await this.loadLogo();
     
     let currentY = this.addHeader(pdf, formData.reference);
     currentY = this.addFormFieldsCompact(pdf, formData, currentY);
+
+    if (formData.planta || formData.gps) {
+      currentY = this.addLocation(pdf, formData, currentY);
+    }
     
     if (photos.length > 0) {
-      currentY = await this.addPhotosCompact(pdf, photos, currentY);
+      currentY = this.isComplete
+        ? await this.addPhotosFull(pdf, photos, currentY)
+        : await this.addPhotosCompact(pdf, photos, currentY);
+    }
+
+    if (formData.timeline?.length) {
+      currentY = this.addTimeline(pdf, formData.timeline, formData.status, currentY, formData.reference);
+    }
+
+    const afterPhotos = options.afterPhotos || [];
+    if (afterPhotos.length > 0) {
+      const afterTitle = 'FOTOS DA CONCLUSÃO (DEPOIS)';
+      if (this.isComplete) {
+        currentY = await this.addPhotosFull(pdf, afterPhotos, currentY, afterTitle);
+      } else {
+        currentY = this.startNewPageIfNeeded(pdf, currentY, 80, formData.reference);
+        currentY = await this.addPhotosCompact(pdf, afterPhotos, currentY, afterTitle);
+      }
+    }
+
+    if (formData.signatures?.length) {
+      currentY = this.addSignatures(pdf, formData.signatures, currentY);
+    }
+
+    if (formData.integrity) {
+      currentY = this.addIntegrity(pdf, formData.integrity, currentY);
+      // Metadados lidos pela tela de verificação do app
+      pdf.setProperties({
+        title: `${this.title} ${formData.reference}`,
+        subject: `Ocorrência ${formData.reference}`,
+        keywords: `ref:${formData.reference} sha256:${formData.integrity.hash}`,
+        creator: this.companyName
+      });
     }
     
     this.addFooter(pdf);
+    this.addPageNumbers(pdf);
     
     return pdf;
   }
 
   addHeader(pdf, reference) {
-    // Cabeçalho com cores da System Engenharia
+    // Cabeçalho com as cores da marca
     pdf.setFillColor(...this.colors.primary);
     pdf.rect(0, 0, this.pageWidth, 35, 'F');
     
-    // Logo da System Engenharia (se disponível)
+    // Logo da empresa (se disponível)
     if (this.logoBase64) {
       try {
-        pdf.addImage(this.logoBase64, 'PNG', this.margin, 8, 40, 10);
+        const logoWidth = Math.min(40, 10 * this.logoAspect);
+        pdf.addImage(this.logoBase64, 'PNG', this.margin, 8, logoWidth, logoWidth / this.logoAspect);
       } catch (error) {
         console.warn('Erro ao adicionar logo:', error);
       }
@@ -88,14 +190,25 @@ class SystemEngenhariaPDFGenerator {
       pdf.setTextColor(255, 255, 255);
       pdf.setFontSize(12);
       pdf.setFont('helvetica', 'bold');
-      pdf.text('SYSTEM ENGENHARIA', this.margin, 15);
+      pdf.text(this.fitText(pdf, this.companyName.toUpperCase(), 48), this.margin, 15);
     }
+
+    const clientWidth = this.addClientBranding(pdf);
     
-    // Título principal
+    // Título principal (fonte reduzida se não couber ao lado do cliente)
     pdf.setTextColor(255, 255, 255);
-    pdf.setFontSize(18);
     pdf.setFont('helvetica', 'bold');
-    pdf.text('RELATÓRIO TÉCNICO DE OCORRÊNCIA', this.margin + 50, 15);
+    const titleWidth = this.pageWidth - this.margin - (this.margin + 50) - (clientWidth ? clientWidth + 4 : 0);
+    let titleSize = 18;
+    pdf.setFontSize(titleSize);
+    while (titleSize > 11 && pdf.getTextWidth(this.title) > titleWidth) pdf.setFontSize(--titleSize);
+    pdf.text(this.fitText(pdf, this.title, titleWidth), this.margin + 50, 15);
+
+    if (this.projectName) {
+      pdf.setFontSize(10);
+      pdf.setFont('helvetica', 'bold');
+      pdf.text(this.fitText(pdf, `Obra: ${this.projectName}`, titleWidth), this.margin + 50, 22);
+    }
     
     // Referência e data na mesma linha
     pdf.setFontSize(10);
@@ -118,6 +231,39 @@ class SystemEngenhariaPDFGenerator {
     return 45; // Retorna posição Y após o cabeçalho
   }
 
+  /**
+   * Logo (ou nome) do cliente no canto superior direito
+   * @returns {number} largura ocupada em mm (0 sem cliente)
+   */
+  addClientBranding(pdf) {
+    const right = this.pageWidth - this.margin;
+
+    if (this.clientLogo) {
+      const [data, aspect] = this.clientLogo;
+      const width = Math.min(30, 10 * aspect);
+      const height = width / aspect;
+      try {
+        pdf.setFillColor(...this.colors.white);
+        pdf.rect(right - width - 1, 5, width + 2, height + 2, 'F');
+        pdf.addImage(data, 'PNG', right - width, 6, width, height);
+        return width + 2;
+      } catch (error) {
+        console.warn('Erro ao adicionar logo do cliente:', error);
+      }
+    }
+
+    if (!this.clientName) return 0;
+    pdf.setTextColor(255, 255, 255);
+    pdf.setFontSize(8);
+    pdf.setFont('helvetica', 'normal');
+    pdf.text('Cliente', right - pdf.getTextWidth('Cliente'), 9);
+    pdf.setFontSize(10);
+    pdf.setFont('helvetica', 'bold');
+    const name = this.fitText(pdf, this.clientName, 40);
+    pdf.text(name, right - pdf.getTextWidth(name), 14);
+    return pdf.getTextWidth(name);
+  }
+
   addFormFieldsCompact(pdf, data, startY) {
     pdf.setTextColor(...this.colors.text);
     let currentY = startY;
@@ -127,41 +273,64 @@ class SystemEngenhariaPDFGenerator {
     // Layout em duas colunas para economizar espaço
     const colWidth = (this.contentWidth - 10) / 2;
     
-    // Seção: Identificação (compacta)
-    currentY = this.addSectionTitleCompact(pdf, 'IDENTIFICAÇÃO DA OCORRÊNCIA', currentY);
-    currentY += 3;
-    
-    // Primeira linha: Tipo e Bloco
-    currentY = this.addFieldInline(pdf, 'Tipo', data.tipo, this.margin, currentY, colWidth);
-    this.addFieldInline(pdf, 'Bloco/Setor', data.bloco, this.margin + colWidth + 10, currentY, colWidth);
-    currentY += lineHeight;
-    
-    // Segunda linha: Pavimento e Local
-    currentY = this.addFieldInline(pdf, 'Pavimento', data.pavimento, this.margin, currentY, colWidth);
-    this.addFieldInline(pdf, 'Local', data.local, this.margin + colWidth + 10, currentY, colWidth);
-    currentY += lineHeight + 3;
-    
-    // Descrição (linha completa)
-    currentY = this.addFieldFullWidth(pdf, 'Descrição', data.descricao, currentY);
-    currentY += sectionSpacing;
-    
-    // Seção: Ações (compacta)
-    currentY = this.addSectionTitleCompact(pdf, 'AÇÕES E PRIORIDADES', currentY);
-    currentY += 3;
-    
-    // Primeira linha: Ação e Prioridade
-    currentY = this.addFieldInline(pdf, 'Ação', data.acao, this.margin, currentY, colWidth);
-    this.addFieldInline(pdf, 'Prioridade', data.prioridade, this.margin + colWidth + 10, currentY, colWidth);
-    currentY += lineHeight;
-    
-    // Segunda linha: Prazo e Responsável
-    currentY = this.addFieldInline(pdf, 'Prazo', data.prazo, this.margin, currentY, colWidth);
-    this.addFieldInline(pdf, 'Responsável', data.responsavel, this.margin + colWidth + 10, currentY, colWidth);
-    currentY += lineHeight + sectionSpacing;
+    // Seções vindas do modelo do formulário (ou o layout fixo)
+    const sections = data.sections || this.defaultSections(data);
+    sections.forEach(section => {
+      currentY = this.addSectionTitleCompact(pdf, section.titulo, currentY);
+      currentY += 3;
+      
+      // Campos curtos em pares; campos largos (ex.: Descrição) em linha completa
+      const pending = [];
+      const flushRow = () => {
+        if (!pending.length) return;
+        const [left, right] = pending.splice(0);
+        currentY = this.addFieldRow(pdf, [left.rotulo, left.valor], right ? [right.rotulo, right.valor] : null, currentY, colWidth, lineHeight);
+      };
+      
+      section.campos.forEach(campo => {
+        if (campo.largo) {
+          flushRow();
+          currentY += 3;
+          currentY = this.addFieldFullWidth(pdf, campo.rotulo, campo.valor, currentY);
+          return;
+        }
+        pending.push(campo);
+        if (pending.length === 2) flushRow();
+      });
+      flushRow();
+      currentY += sectionSpacing;
+    });
     
     return currentY;
   }
 
+  /**
+   * Layout fixo, usado quando o relatório não traz as seções do modelo
+   */
+  defaultSections(data) {
+    return [
+      {
+        titulo: 'IDENTIFICAÇÃO DA OCORRÊNCIA',
+        campos: [
+          { rotulo: 'Tipo', valor: data.tipo },
+          { rotulo: 'Bloco/Setor', valor: data.bloco },
+          { rotulo: 'Pavimento', valor: data.pavimento },
+          { rotulo: 'Local', valor: data.local },
+          { rotulo: 'Descrição', valor: data.descricao, largo: true }
+        ]
+      },
+      {
+        titulo: 'AÇÕES E PRIORIDADES',
+        campos: [
+          { rotulo: 'Ação', valor: data.acao },
+          { rotulo: 'Prioridade', valor: data.prioridade },
+          { rotulo: 'Prazo', valor: data.prazo },
+          { rotulo: 'Responsável', valor: data.responsavel }
+        ]
+      }
+    ];
+  }
+
   addSectionTitleCompact(pdf, title, y) {
     // Fundo da seção mais compacto
     pdf.setFillColor(...this.colors.lightGray);
@@ -180,6 +349,57 @@ class SystemEngenhariaPDFGenerator {
     return y + 10;
   }
 
+  /**
+   * Linha com dois campos lado a lado; no layout completo a altura
+   * acompanha o campo com mais linhas
+   */
+  addFieldRow(pdf, [leftLabel, leftValue], right, y, colWidth, lineHeight) {
+    const rightX = this.margin + colWidth + 10;
+    // Sem campo à direita (número ímpar de campos na seção)
+    const [rightLabel, rightValue] = right || [];
+
+    if (!this.isComplete) {
+      this.addFieldInline(pdf, leftLabel, leftValue, this.margin, y, colWidth);
+      if (right) this.addFieldInline(pdf, rightLabel, rightValue, rightX, y, colWidth);
+      return y + lineHeight;
+    }
+
+    const lines = Math.max(
+      this.getFieldLines(pdf, leftLabel, leftValue, colWidth).length,
+      right ? this.getFieldLines(pdf, rightLabel, rightValue, colWidth).length : 1
+    );
+    const rowHeight = lineHeight + (lines - 1) * 4;
+
+    y = this.startNewPageIfNeeded(pdf, y, rowHeight);
+    this.addFieldInline(pdf, leftLabel, leftValue, this.margin, y, colWidth);
+    if (right) this.addFieldInline(pdf, rightLabel, rightValue, rightX, y, colWidth);
+    return y + rowHeight;
+  }
+
+  /**
+   * Quebra o valor de um campo na largura disponível ao lado do rótulo
+   */
+  getFieldLines(pdf, label, value, maxWidth) {
+    pdf.setFontSize(8);
+    pdf.setFont('helvetica', 'bold');
+    const labelWidth = pdf.getTextWidth(label + ': ') + 2;
+    pdf.setFont('helvetica', 'normal');
+    return pdf.splitTextToSize(value || '-', maxWidth - labelWidth);
+  }
+
+  /**
+   * Corta o texto para caber na largura medida, com reticências
+   */
+  fitText(pdf, text, maxWidth) {
+    if (pdf.getTextWidth(text) <= maxWidth) return text;
+
+    let fitted = text;
+    while (fitted.length > 0 && pdf.getTextWidth(fitted + '...') > maxWidth) {
+      fitted = fitted.slice(0, -1);
+    }
+    return fitted.trimEnd() + '...';
+  }
+
   addFieldInline(pdf, label, value, x, y, maxWidth) {
     // Label
     pdf.setTextColor(...this.colors.secondary);
@@ -195,15 +415,16 @@ class SystemEngenhariaPDFGenerator {
     const labelWidth = pdf.getTextWidth(label + ': ') + 2;
     const valueWidth = maxWidth - labelWidth;
     
-    let displayValue = value || '-';
+    const displayValue = value || '-';
     
-    // Truncar se necessário
-    const maxChars = Math.floor(valueWidth / 2); // Aproximação
-    if (displayValue.length > maxChars) {
-      displayValue = displayValue.substring(0, maxChars - 3) + '...';
+    // Layout completo: valor integral em várias linhas
+    if (this.isComplete) {
+      pdf.text(pdf.splitTextToSize(displayValue, valueWidth), x + labelWidth, y);
+      return y;
     }
-    
-    pdf.text(displayValue, x + labelWidth, y);
+
+    // Truncar se necessário (medindo a largura real do texto)
+    pdf.text(this.fitText(pdf, displayValue, valueWidth), x + labelWidth, y);
     
     return y;
   }
@@ -224,6 +445,24 @@ class SystemEngenhariaPDFGenerator {
     const maxWidth = this.contentWidth - labelWidth;
     
     let displayValue = value || '-';
+
+    // Layout completo: descrição integral, continuando nas páginas seguintes
+    if (this.isComplete) {
+      const lines = pdf.splitTextToSize(displayValue, maxWidth);
+      let currentY = y;
+      lines.forEach(line => {
+        const nextY = this.startNewPageIfNeeded(pdf, currentY, 4);
+        if (nextY !== currentY) {
+          pdf.setTextColor(...this.colors.text);
+          pdf.setFontSize(8);
+          pdf.setFont('helvetica', 'normal');
+        }
+        currentY = nextY;
+        pdf.text(line, this.margin + labelWidth, currentY);
+        currentY += 4;
+      });
+      return currentY + 2;
+    }
     
     if (displayValue.length > 100) {
       const lines = pdf.splitTextToSize(displayValue, maxWidth);
@@ -235,7 +474,196 @@ class SystemEngenhariaPDFGenerator {
     }
   }
 
-  async addPhotosCompact(pdf, photos, startY) {
+  /**
+   * Localização: recorte da planta com o pino e coordenadas GPS (com link para o mapa)
+   */
+  addLocation(pdf, data, startY) {
+    const imageWidth = this.isComplete ? 100 : 64;
+    const imageHeight = data.planta ? imageWidth * 3 / 4 : 0;
+    let currentY = this.startNewPageIfNeeded(pdf, startY, imageHeight + 16);
+    currentY = this.addSectionTitleCompact(pdf, 'LOCALIZAÇÃO', currentY);
+
+    let textX = this.margin;
+    if (data.planta) {
+      try {
+        pdf.addImage(data.planta.imagem, 'JPEG', this.margin, currentY - 2, imageWidth, imageHeight);
+        textX += imageWidth + 6;
+      } catch (error) {
+        console.warn('Erro ao adicionar planta:', error);
+      }
+    }
+
+    const textWidth = this.pageWidth - this.margin - textX;
+    let textY = currentY + 2;
+    if (data.planta) {
+      this.addFieldInline(pdf, 'Planta', data.planta.legenda, textX, textY, textWidth);
+      textY += 6;
+    }
+    if (data.gps) {
+      const { lat, lon, precisao } = data.gps;
+      this.addFieldInline(pdf, 'GPS', `${lat.toFixed(6)}, ${lon.toFixed(6)}`, textX, textY, textWidth);
+      textY += 5;
+      const details = [precisao ? `precisão de ${Math.round(precisao)} m` : null, data.gps.capturadoEm ? `capturado em ${data.gps.capturadoEm}` : null].filter(Boolean);
+      if (details.length) {
+        pdf.setFontSize(7);
+        pdf.text(this.fitText(pdf, details.join(' - '), textWidth), textX, textY);
+        textY += 5;
+      }
+      pdf.setTextColor(...this.colors.primary);
+      pdf.textWithLink('Abrir no mapa', textX, textY, { url: `https://www.google.com/maps/search/?api=1&query=${lat},${lon}` });
+      textY += 4;
+    }
+
+    return Math.max(currentY + imageHeight, textY) + 4;
+  }
+
+  /**
+   * Bloco de assinaturas (duas por linha): imagem, linha, nome, papel e data
+   */
+  addSignatures(pdf, signatures, startY) {
+    const boxWidth = (this.contentWidth - 10) / 2;
+    const boxHeight = 34;
+    let currentY = this.startNewPageIfNeeded(pdf, startY, boxHeight + 14);
+    currentY = this.addSectionTitleCompact(pdf, 'ASSINATURAS', currentY);
+
+    signatures.forEach((signature, index) => {
+      const column = index % 2;
+      if (column === 0 && index > 0) currentY += boxHeight + 4;
+      if (column === 0) currentY = this.startNewPageIfNeeded(pdf, currentY, boxHeight);
+      const x = this.margin + column * (boxWidth + 10);
+
+      try {
+        pdf.addImage(signature.imagem, 'PNG', x + (boxWidth - 50) / 2, currentY, 50, 50 * 220 / 600);
+      } catch (error) {
+        console.warn('Erro ao adicionar assinatura:', error);
+      }
+
+      pdf.setDrawColor(...this.colors.text);
+      pdf.setLineWidth(0.3);
+      pdf.line(x + 5, currentY + 20, x + boxWidth - 5, currentY + 20);
+
+      pdf.setTextColor(...this.colors.text);
+      pdf.setFontSize(8);
+      pdf.setFont('helvetica', 'bold');
+      const name = this.fitText(pdf, signature.nome, boxWidth - 10);
+      pdf.text(name, x + (boxWidth - pdf.getTextWidth(name)) / 2, currentY + 24);
+
+      pdf.setFont('helvetica', 'normal');
+      pdf.setFontSize(7);
+      const role = `${signature.papel} - assinado em ${signature.at}`;
+      pdf.text(role, x + (boxWidth - pdf.getTextWidth(role)) / 2, currentY + 28);
+
+      if (signature.desatualizada) {
+        pdf.setTextColor(220, 38, 38);
+        const warning = 'Assinada antes da última alteração do registro';
+        pdf.text(warning, x + (boxWidth - pdf.getTextWidth(warning)) / 2, currentY + 32);
+      }
+    });
+
+    return currentY + boxHeight + 6;
+  }
+
+  /**
+   * Hash SHA-256 do conteúdo e QR code para conferir o documento no app
+   */
+  addIntegrity(pdf, integrity, startY) {
+    const qrSize = 26;
+    let currentY = this.startNewPageIfNeeded(pdf, startY, qrSize + 14);
+    currentY = this.addSectionTitleCompact(pdf, 'AUTENTICIDADE DO DOCUMENTO', currentY);
+
+    const hasQR = this.drawQRCode(pdf, integrity.url, this.margin, currentY - 2, qrSize);
+    const textX = hasQR ? this.margin + qrSize + 6 : this.margin;
+
+    pdf.setTextColor(...this.colors.secondary);
+    pdf.setFontSize(8);
+    pdf.setFont('helvetica', 'bold');
+    pdf.text('Hash SHA-256 (campos, fotos e assinaturas):', textX, currentY + 3);
+
+    pdf.setTextColor(...this.colors.text);
+    pdf.setFont('courier', 'normal');
+    pdf.setFontSize(8);
+    pdf.text([integrity.hash.slice(0, 32), integrity.hash.slice(32)], textX, currentY + 8);
+
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(7);
+    pdf.text(pdf.splitTextToSize('Para conferir, leia o QR code ou abra este PDF na tela "Verificar" do aplicativo. '
+      + 'Qualquer alteração nos campos, fotos ou assinaturas muda o hash.', this.pageWidth - this.margin - textX), textX, currentY + 17);
+
+    return currentY + qrSize + 4;
+  }
+
+  /**
+   * QR code vetorial (vendor/qrcode.js); false se a biblioteca não estiver carregada
+   */
+  drawQRCode(pdf, text, x, y, size) {
+    if (!window.qrcode) return false;
+    const qr = window.qrcode(0, 'M');
+    qr.addData(text);
+    qr.make();
+
+    const count = qr.getModuleCount();
+    const cell = size / count;
+    pdf.setFillColor(0, 0, 0);
+    for (let row = 0; row < count; row++) {
+      for (let col = 0; col < count; col++) {
+        if (qr.isDark(row, col)) pdf.rect(x + col * cell, y + row * cell, cell + 0.05, cell + 0.05, 'F');
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Inicia nova página (rodapé na atual, cabeçalho na nova) quando falta espaço
+   */
+  startNewPageIfNeeded(pdf, y, neededHeight, reference = this.reference) {
+    if (y + neededHeight <= this.pageHeight - 25) return y;
+
+    this.addFooter(pdf);
+    pdf.addPage();
+    return this.addHeader(pdf, reference);
+  }
+
+  addTimeline(pdf, timeline, status, startY, reference) {
+    let currentY = this.startNewPageIfNeeded(pdf, startY, 30, reference);
+    currentY = this.addSectionTitleCompact(pdf, `HISTÓRICO DE STATUS (ATUAL: ${(status || '-').toUpperCase()})`, currentY);
+    currentY += 3;
+
+    const textX = this.margin + 4;
+    const maxWidth = this.contentWidth - 4;
+
+    timeline.forEach(entry => {
+      const transition = entry.from ? `${entry.from} > ${entry.to}` : entry.to;
+      const photosInfo = entry.photoCount ? `  |  ${entry.photoCount} foto(s) de conclusão` : '';
+      const header = `${entry.at}  |  ${transition}  |  por ${entry.by}${photosInfo}`;
+
+      pdf.setFontSize(8);
+      pdf.setFont('helvetica', 'normal');
+      const noteLines = entry.note ? pdf.splitTextToSize(entry.note, maxWidth) : [];
+
+      currentY = this.startNewPageIfNeeded(pdf, currentY, 6 + noteLines.length * 4, reference);
+
+      // Marcador da linha do tempo
+      pdf.setFillColor(...this.colors.primary);
+      pdf.circle(this.margin + 1, currentY - 1, 0.8, 'F');
+
+      pdf.setTextColor(...this.colors.text);
+      pdf.setFont('helvetica', 'bold');
+      pdf.text(header, textX, currentY);
+      currentY += 4;
+
+      if (noteLines.length > 0) {
+        pdf.setFont('helvetica', 'normal');
+        pdf.text(noteLines, textX, currentY);
+        currentY += noteLines.length * 4;
+      }
+
+      currentY += 2;
+    });
+
+    return currentY + 5;
+  }
+
+  async addPhotosCompact(pdf, photos, startY, title = 'ANEXOS FOTOGRÁFICOS') {
     let currentY = startY;
     
     // Verificar espaço disponível
@@ -243,7 +671,7 @@ class SystemEngenhariaPDFGenerator {
     
     if (availableHeight < 60) {
       // Não há espaço suficiente, adicionar apenas referência às fotos
-      currentY = this.addSectionTitleCompact(pdf, 'ANEXOS FOTOGRÁFICOS', currentY);
+      currentY = this.addSectionTitleCompact(pdf, title, currentY);
       pdf.setTextColor(...this.colors.text);
       pdf.setFontSize(8);
       pdf.text(`${photos.length} foto(s) anexada(s) - Ver arquivo digital completo`, this.margin, currentY + 5);
@@ -251,7 +679,7 @@ class SystemEngenhariaPDFGenerator {
     }
     
     // Título da seção
-    currentY = this.addSectionTitleCompact(pdf, 'ANEXOS FOTOGRÁFICOS', currentY);
+    currentY = this.addSectionTitleCompact(pdf, title, currentY);
     currentY += 5;
     
     // Grid compacto de fotos (2x2 ou 4x1 dependendo do espaço)
@@ -276,68 +704,114 @@ class SystemEngenhariaPDFGenerator {
     return currentY + (totalRows * (photoHeight + 15)) + 5;
   }
 
+  /**
+   * Fotos em tamanho legível (uma por linha), continuando em novas páginas
+   */
+  async addPhotosFull(pdf, photos, startY, title = 'ANEXOS FOTOGRÁFICOS') {
+    const photoWidth = this.contentWidth;
+    const photoHeight = Math.round(photoWidth * 0.62);
+    const blockHeight = photoHeight + 15;
+
+    let currentY = this.startNewPageIfNeeded(pdf, startY, 15 + blockHeight);
+    currentY = this.addSectionTitleCompact(pdf, `${title} (${photos.length})`, currentY);
+    currentY += 5;
+
+    for (let i = 0; i < photos.length; i++) {
+      currentY = this.startNewPageIfNeeded(pdf, currentY, blockHeight);
+      await this.addSinglePhotoCompact(pdf, photos[i], this.margin, currentY, photoWidth, photoHeight, i + 1);
+      currentY += blockHeight;
+    }
+
+    return currentY + 5;
+  }
+
   async addSinglePhotoCompact(pdf, photo, x, y, width, height, photoNumber) {
     try {
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d');
-      const img = new Image();
+      const img = await this.loadImage(photo.url);
+      const meta = photo.meta || (photo.file ? await PhotoMetadata.read(photo.file) : null);
+      const imgData = this.renderPhoto(img, meta?.orientation || 1, width - 1, height - 1);
       
-      await new Promise((resolve, reject) => {
-        img.onload = () => {
-          // Canvas menor para PDF compacto
-          canvas.width = 300;
-          canvas.height = 200;
-          
-          ctx.fillStyle = '#ffffff';
-          ctx.fillRect(0, 0, canvas.width, canvas.height);
-          ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-          
-          const imgData = canvas.toDataURL('image/jpeg', 0.7); // Qualidade menor para economizar espaço
-          
-          // Borda da foto
-          pdf.setDrawColor(...this.colors.border);
-          pdf.setLineWidth(0.3);
-          pdf.rect(x, y, width, height);
-          
-          // Adicionar imagem
-          pdf.addImage(imgData, 'JPEG', x + 0.5, y + 0.5, width - 1, height - 1);
-          
-          // Legenda compacta
-          pdf.setTextColor(...this.colors.secondary);
-          pdf.setFontSize(6);
-          pdf.setFont('helvetica', 'normal');
-          const caption = `Foto ${photoNumber}`;
-          pdf.text(caption, x, y + height + 8);
-          
-          resolve();
-        };
-        
-        img.onerror = () => {
-          // Placeholder de erro
-          pdf.setFillColor(245, 245, 245);
-          pdf.rect(x, y, width, height, 'F');
-          
-          pdf.setTextColor(...this.colors.secondary);
-          pdf.setFontSize(6);
-          pdf.text('Erro', x + 5, y + height/2);
-          
-          resolve();
-        };
-        
-        img.src = photo.url;
-      });
+      // Borda da foto
+      pdf.setDrawColor(...this.colors.border);
+      pdf.setLineWidth(0.3);
+      pdf.rect(x, y, width, height);
+      
+      // Adicionar imagem
+      pdf.addImage(imgData, 'JPEG', x + 0.5, y + 0.5, width - 1, height - 1);
+      
+      // Legenda com data/hora de captura e GPS (EXIF), quando disponíveis
+      pdf.setTextColor(...this.colors.secondary);
+      pdf.setFontSize(6);
+      pdf.setFont('helvetica', 'normal');
+      const caption = PhotoMetadata.caption(photoNumber, meta);
+      pdf.text(this.fitText(pdf, caption, width), x, y + height + 8);
       
     } catch (error) {
       console.error('Erro ao processar foto:', error);
       
-      // Placeholder
+      // Placeholder de erro
       pdf.setFillColor(245, 245, 245);
       pdf.rect(x, y, width, height, 'F');
       
       pdf.setTextColor(...this.colors.secondary);
       pdf.setFontSize(6);
-      pdf.text('N/A', x + 5, y + height/2);
+      pdf.text('Erro', x + 5, y + height/2);
+    }
+  }
+
+  loadImage(url) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('Imagem não carregada'));
+      img.src = url;
+    });
+  }
+
+  /**
+   * Desenha a foto na proporção da área do PDF sem distorcer
+   * (letterbox ou recorte, conforme photoFit) e com a orientação EXIF corrigida
+   */
+  renderPhoto(img, orientation, boxWidth, boxHeight) {
+    const manualOrientation = orientation > 1 && !PhotoMetadata.browserAppliesOrientation();
+    const swap = manualOrientation && orientation >= 5;
+    const srcWidth = swap ? img.naturalHeight : img.naturalWidth;
+    const srcHeight = swap ? img.naturalWidth : img.naturalHeight;
+
+    let canvasWidth = boxWidth * this.photoPxPerMm;
+    let canvasHeight = boxHeight * this.photoPxPerMm;
+    const fit = this.photoFit === 'cover' ? Math.max : Math.min;
+    let scale = fit(canvasWidth / srcWidth, canvasHeight / srcHeight);
+
+    // Não amplia além da resolução original
+    if (scale > 1) {
+      canvasWidth /= scale;
+      canvasHeight /= scale;
+      scale = 1;
+    }
+
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    canvas.width = Math.round(canvasWidth);
+    canvas.height = Math.round(canvasHeight);
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    const drawWidth = srcWidth * scale;
+    const drawHeight = srcHeight * scale;
+    ctx.translate((canvas.width - drawWidth) / 2, (canvas.height - drawHeight) / 2);
+
+    if (manualOrientation) {
+      const imgWidth = swap ? drawHeight : drawWidth;
+      const imgHeight = swap ? drawWidth : drawHeight;
+      PhotoMetadata.applyOrientation(ctx, orientation, imgWidth, imgHeight);
+      ctx.drawImage(img, 0, 0, imgWidth, imgHeight);
+    } else {
+      ctx.drawImage(img, 0, 0, drawWidth, drawHeight);
     }
+
+    return canvas.toDataURL('image/jpeg', 0.85);
   }
 
   addFooter(pdf) {
@@ -353,12 +827,29 @@ class SystemEngenhariaPDFGenerator {
     pdf.setFontSize(7);
     pdf.setFont('helvetica', 'normal');
     
-    const footerText = 'System Engenharia - Relatório Técnico Automatizado | www.systemengenharia.com.br';
+    const footerText = this.fitText(pdf, this.footerText, this.contentWidth - 30);
     const textWidth = pdf.getTextWidth(footerText);
     const centerX = (this.pageWidth - textWidth) / 2;
     
     pdf.text(footerText, centerX, footerY);
   }
+
+  /**
+   * Numeração "Página X de Y" em todas as páginas
+   */
+  addPageNumbers(pdf) {
+    const total = pdf.getNumberOfPages();
+
+    for (let page = 1; page <= total; page++) {
+      pdf.setPage(page);
+      pdf.setTextColor(...this.colors.secondary);
+      pdf.setFontSize(7);
+      pdf.setFont('helvetica', 'normal');
+
+      const text = `Página ${page} de ${total}`;
+      pdf.text(text, this.pageWidth - this.margin - pdf.getTextWidth(text), this.pageHeight - 4);
+    }
+  }
 }
 
 // Exportar para uso global
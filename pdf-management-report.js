@@ -0,0 +1,166 @@
+/**
+ * Relatório Gerencial de Ocorrências
+ * Indicadores do painel, gráficos (tipo, bloco/pavimento, prioridade, responsável, semana)
+ * e a tabela de cada gráfico com tempo de resolução × prazo
+ */
+
+class ManagementReportPDFGenerator extends PeriodReportPDFGenerator {
+  constructor() {
+    super();
+    this.title = 'RELATÓRIO GERENCIAL DE OCORRÊNCIAS';
+  }
+
+  /**
+   * Gera o relatório gerencial
+   * @param {Object} report
+   * @param {Object} report.summary - Indicadores (OccurrenceAnalytics.summarize)
+   * @param {Array} report.charts - [{ titulo, imagem (PNG), aspect, grupos }] na ordem do painel
+   * @param {Object} report.filters - { from, to, obraNome, bloco, tipo, prioridade, status }
+   */
+  async generateManagementReport({ summary, charts, filters = {} }) {
+    const { jsPDF } = window.jspdf;
+    const pdf = new jsPDF('p', 'mm', 'a4');
+
+    this.reference = `GER-${(filters.from || '').replace(/-/g, '')}-${(filters.to || '').replace(/-/g, '')}`;
+    this.projectName = filters.obraNome || '';
+
+    await this.loadLogo();
+
+    let currentY = this.addHeader(pdf, this.reference);
+    currentY = this.addManagementCover(pdf, summary, filters, currentY);
+
+    charts.forEach(chart => {
+      currentY = this.addChart(pdf, chart, currentY);
+    });
+
+    this.addFooter(pdf);
+    this.addPageNumbers(pdf);
+
+    return pdf;
+  }
+
+  addManagementCover(pdf, summary, filters, startY) {
+    let currentY = startY + 10;
+
+    pdf.setTextColor(...this.colors.primary);
+    pdf.setFontSize(16);
+    pdf.setFont('helvetica', 'bold');
+    pdf.text('Indicadores de ocorrências', this.margin, currentY);
+    currentY += 10;
+
+    const scope = [
+      ['Período', `${this.formatDay(filters.from)} a ${this.formatDay(filters.to)}`],
+      ['Obra', filters.obraNome || 'Todas'],
+      ['Bloco/Setor', filters.bloco || 'Todos'],
+      ['Tipo', filters.tipo || 'Todos'],
+      ['Prioridade', filters.prioridade || 'Todas'],
+      ['Status', filters.status || 'Todos']
+    ];
+    scope.forEach(([label, value]) => {
+      this.addFieldInline(pdf, label, value, this.margin, currentY, this.contentWidth);
+      currentY += 6;
+    });
+    currentY += 6;
+
+    // Duas linhas de três indicadores
+    const indicators = [
+      ['Total', summary.total],
+      ['Em aberto', summary.abertas],
+      ['Críticas em aberto', summary.criticasAbertas],
+      ['Prazo vencido (em aberto)', summary.vencidas],
+      [`Tempo médio de resolução (prazo médio ${OccurrenceAnalytics.formatDays(summary.mediaPrazoDias)})`, OccurrenceAnalytics.formatDays(summary.mediaDias)],
+      ['Resolvidas no prazo', summary.noPrazo === null ? '-' : `${summary.noPrazo}%`]
+    ];
+
+    const boxWidth = (this.contentWidth - 2 * 5) / 3;
+    indicators.forEach(([label, value], i) => {
+      const x = this.margin + (i % 3) * (boxWidth + 5);
+      const y = currentY + Math.floor(i / 3) * 27;
+      pdf.setFillColor(...this.colors.lightGray);
+      pdf.setDrawColor(...this.colors.border);
+      pdf.rect(x, y, boxWidth, 22, 'FD');
+
+      pdf.setTextColor(...this.colors.primary);
+      pdf.setFontSize(16);
+      pdf.setFont('helvetica', 'bold');
+      pdf.text(String(value), x + boxWidth / 2, y + 11, { align: 'center' });
+
+      pdf.setTextColor(...this.colors.text);
+      pdf.setFontSize(7);
+      pdf.setFont('helvetica', 'normal');
+      pdf.text(this.fitText(pdf, label, boxWidth - 4), x + boxWidth / 2, y + 18, { align: 'center' });
+    });
+    currentY += 2 * 27;
+
+    pdf.setTextColor(...this.colors.secondary);
+    pdf.setFontSize(8);
+    pdf.text('Tempo de resolução: do registro à passagem para Resolvida ou Encerrada (se reaberta, vale a última resolução).', this.margin, currentY);
+
+    return currentY + 12;
+  }
+
+  /**
+   * Gráfico na largura do conteúdo, seguido da tabela com todos os grupos
+   */
+  addChart(pdf, chart, startY) {
+    const imageHeight = Math.min(this.contentWidth / chart.aspect, 150);
+    const imageWidth = imageHeight * chart.aspect;
+
+    let currentY = this.startNewPageIfNeeded(pdf, startY, imageHeight + 24 + Math.min(chart.grupos.length, 5) * 6);
+    currentY = this.addSectionTitleCompact(pdf, chart.titulo.toUpperCase(), currentY);
+    pdf.addImage(chart.imagem, 'PNG', this.margin + (this.contentWidth - imageWidth) / 2, currentY - 2, imageWidth, imageHeight);
+    currentY += imageHeight + 4;
+
+    return this.addGroupTable(pdf, chart.grupos, currentY);
+  }
+
+  addGroupTable(pdf, grupos, startY) {
+    const columns = [
+      ['Grupo', 0, 62],
+      ['Total', 62, 16],
+      ['Abertas', 78, 16],
+      ['Vencidas', 94, 18],
+      ['Tempo médio', 112, 24],
+      ['Prazo médio', 136, 24],
+      ['No prazo', 160, 20]
+    ];
+
+    const drawHeader = y => {
+      pdf.setFillColor(...this.colors.lightGray);
+      pdf.rect(this.margin - 3, y - 4, this.contentWidth + 6, 6, 'F');
+      pdf.setTextColor(...this.colors.secondary);
+      pdf.setFontSize(8);
+      pdf.setFont('helvetica', 'bold');
+      columns.forEach(([label, offset]) => pdf.text(label, this.margin + offset, y));
+      return y + 6;
+    };
+
+    let currentY = drawHeader(this.startNewPageIfNeeded(pdf, startY, 12));
+    grupos.forEach(grupo => {
+      const nextY = this.startNewPageIfNeeded(pdf, currentY, 6);
+      if (nextY !== currentY) currentY = drawHeader(nextY);
+
+      const values = [
+        grupo.rotulo,
+        grupo.total,
+        grupo.abertas,
+        grupo.vencidas,
+        OccurrenceAnalytics.formatDays(grupo.mediaDias),
+        OccurrenceAnalytics.formatDays(grupo.mediaPrazoDias),
+        grupo.noPrazo === null ? '-' : `${grupo.noPrazo}%`
+      ];
+      pdf.setTextColor(...this.colors.text);
+      pdf.setFontSize(8);
+      pdf.setFont('helvetica', 'normal');
+      columns.forEach(([, offset, width], i) => {
+        pdf.text(this.fitText(pdf, String(values[i]), width - 2), this.margin + offset, currentY);
+      });
+      currentY += 6;
+    });
+
+    return currentY + 8;
+  }
+}
+
+// Exportar para uso global
+window.ManagementReportPDFGenerator = ManagementReportPDFGenerator;
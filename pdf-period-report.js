@@ -0,0 +1,294 @@
+/**
+ * Relatório Consolidado de Ocorrências (período / bloco)
+ * Capa, tabelas-resumo, itens vencidos e ficha compacta de cada ocorrência
+ */
+
+class PeriodReportPDFGenerator extends SystemEngenhariaPDFGenerator {
+  constructor() {
+    super();
+    this.title = 'RELATÓRIO CONSOLIDADO DO PERÍODO';
+    this.layout = 'complete';
+    this.closedStatuses = ['Resolvida', 'Encerrada'];
+  }
+
+  /**
+   * A marca vale também aqui, mas o título do perfil é o do relatório individual
+   */
+  applyBranding(profile) {
+    const title = this.title;
+    super.applyBranding(profile);
+    this.title = title;
+    return this;
+  }
+
+  /**
+   * Gera o relatório consolidado
+   * @param {Array} occurrences - Ocorrências no formato do relatório individual,
+   *   com createdAt (texto), createdDay e prazoIso (AAAA-MM-DD)
+   * @param {Object} filters - { from, to, obraNome, bloco, tipo, prioridade, status } aplicados na seleção
+   */
+  async generatePeriodReport(occurrences, filters = {}) {
+    const { jsPDF } = window.jspdf;
+    const pdf = new jsPDF('p', 'mm', 'a4');
+
+    const sorted = [...occurrences].sort((a, b) => (a.createdDay || '').localeCompare(b.createdDay || ''));
+    this.reference = this.buildPeriodReference(filters, sorted);
+    this.projectName = filters.obraNome || '';
+
+    await this.loadLogo();
+
+    let currentY = this.addHeader(pdf, this.reference);
+    currentY = this.addCover(pdf, sorted, filters, currentY);
+
+    currentY = this.addCountTable(pdf, 'OCORRÊNCIAS POR TIPO', this.countBy(sorted, 'tipo'), currentY);
+    currentY = this.addCountTable(pdf, 'OCORRÊNCIAS POR PRIORIDADE', this.countBy(sorted, 'prioridade'), currentY);
+    currentY = this.addCountTable(pdf, 'OCORRÊNCIAS POR BLOCO/SETOR', this.countBy(sorted, 'bloco'), currentY);
+    currentY = this.addOverdueTable(pdf, this.getOverdue(sorted), currentY);
+
+    // Fichas compactas começam em nova página
+    this.addFooter(pdf);
+    pdf.addPage();
+    currentY = this.addHeader(pdf, this.reference);
+    currentY = this.addSectionTitleCompact(pdf, `OCORRÊNCIAS DO PERÍODO (${sorted.length})`, currentY);
+    currentY += 2;
+    sorted.forEach(occurrence => {
+      currentY = this.addCompactEntry(pdf, occurrence, currentY);
+    });
+
+    this.addFooter(pdf);
+    this.addPageNumbers(pdf);
+
+    return pdf;
+  }
+
+  buildPeriodReference(filters, occurrences) {
+    const from = filters.from || occurrences[0]?.createdDay || '';
+    const to = filters.to || occurrences[occurrences.length - 1]?.createdDay || '';
+    return `CONS-${from.replace(/-/g, '')}-${to.replace(/-/g, '')}`;
+  }
+
+  formatDay(isoDay) {
+    if (!isoDay) return '-';
+    const [y, m, d] = isoDay.split('-');
+    return `${d}/${m}/${y}`;
+  }
+
+  todayBr() {
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: 'America/Sao_Paulo',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }).format(new Date());
+  }
+
+  countBy(occurrences, field) {
+    const counts = {};
+    occurrences.forEach(occurrence => {
+      const key = (occurrence[field] || '').trim() || '(não informado)';
+      counts[key] = (counts[key] || 0) + 1;
+    });
+    return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  }
+
+  /**
+   * Ocorrências com prazo vencido e ainda não resolvidas
+   */
+  getOverdue(occurrences) {
+    const today = this.todayBr();
+    return occurrences
+      .filter(o => o.prazoIso && o.prazoIso < today && !this.closedStatuses.includes(o.status))
+      .map(o => ({ ...o, daysLate: Math.round((new Date(today) - new Date(o.prazoIso)) / 86400000) }))
+      .sort((a, b) => b.daysLate - a.daysLate);
+  }
+
+  addCover(pdf, occurrences, filters, startY) {
+    let currentY = startY + 10;
+
+    pdf.setTextColor(...this.colors.primary);
+    pdf.setFontSize(16);
+    pdf.setFont('helvetica', 'bold');
+    pdf.text('Resumo consolidado de ocorrências', this.margin, currentY);
+    currentY += 10;
+
+    const from = this.formatDay(filters.from || occurrences[0]?.createdDay);
+    const to = this.formatDay(filters.to || occurrences[occurrences.length - 1]?.createdDay);
+    const scope = [
+      ['Período', `${from} a ${to}`],
+      ['Obra', filters.obraNome || 'Todas'],
+      ['Bloco/Setor', filters.bloco || 'Todos'],
+      ['Tipo', filters.tipo || 'Todos'],
+      ['Prioridade', filters.prioridade || 'Todas'],
+      ['Status', filters.status || 'Todos']
+    ];
+
+    scope.forEach(([label, value]) => {
+      this.addFieldInline(pdf, label, value, this.margin, currentY, this.contentWidth);
+      currentY += 6;
+    });
+    currentY += 6;
+
+    // Indicadores principais
+    const open = occurrences.filter(o => !this.closedStatuses.includes(o.status)).length;
+    const critical = occurrences.filter(o => o.prioridade === 'Crítica').length;
+    const indicators = [
+      ['Total', occurrences.length],
+      ['Em aberto', open],
+      ['Críticas', critical],
+      ['Prazo vencido', this.getOverdue(occurrences).length]
+    ];
+
+    const boxWidth = (this.contentWidth - 3 * 5) / 4;
+    indicators.forEach(([label, value], i) => {
+      const x = this.margin + i * (boxWidth + 5);
+      pdf.setFillColor(...this.colors.lightGray);
+      pdf.setDrawColor(...this.colors.border);
+      pdf.rect(x, currentY, boxWidth, 22, 'FD');
+
+      pdf.setTextColor(...this.colors.primary);
+      pdf.setFontSize(16);
+      pdf.setFont('helvetica', 'bold');
+      pdf.text(String(value), x + boxWidth / 2, currentY + 11, { align: 'center' });
+
+      pdf.setTextColor(...this.colors.text);
+      pdf.setFontSize(8);
+      pdf.setFont('helvetica', 'normal');
+      pdf.text(label, x + boxWidth / 2, currentY + 18, { align: 'center' });
+    });
+
+    return currentY + 34;
+  }
+
+  /**
+   * Tabela de contagens com barra proporcional
+   */
+  addCountTable(pdf, title, rows, startY) {
+    const rowHeight = 6;
+    let currentY = this.startNewPageIfNeeded(pdf, startY, 20 + Math.min(rows.length, 5) * rowHeight);
+    currentY = this.addSectionTitleCompact(pdf, title, currentY);
+
+    const total = rows.reduce((sum, [, count]) => sum + count, 0) || 1;
+    const labelWidth = 70;
+    const barX = this.margin + labelWidth + 15;
+    const barMaxWidth = this.contentWidth - labelWidth - 35;
+
+    rows.forEach(([label, count]) => {
+      currentY = this.startNewPageIfNeeded(pdf, currentY, rowHeight);
+
+      pdf.setTextColor(...this.colors.text);
+      pdf.setFontSize(8);
+      pdf.setFont('helvetica', 'normal');
+      pdf.text(this.fitText(pdf, label, labelWidth), this.margin, currentY);
+
+      pdf.setFont('helvetica', 'bold');
+      pdf.text(String(count), this.margin + labelWidth + 10, currentY, { align: 'right' });
+
+      pdf.setFillColor(...this.colors.primary);
+      pdf.rect(barX, currentY - 3, Math.max(1, barMaxWidth * count / total), 3.5, 'F');
+
+      pdf.setFont('helvetica', 'normal');
+      pdf.text(`${Math.round(count * 100 / total)}%`, this.pageWidth - this.margin, currentY, { align: 'right' });
+
+      currentY += rowHeight;
+    });
+
+    return currentY + 6;
+  }
+
+  addOverdueTable(pdf, overdue, startY) {
+    let currentY = this.startNewPageIfNeeded(pdf, startY, 30);
+    currentY = this.addSectionTitleCompact(pdf, `ITENS COM PRAZO VENCIDO (${overdue.length})`, currentY);
+
+    if (overdue.length === 0) {
+      pdf.setTextColor(...this.colors.text);
+      pdf.setFontSize(8);
+      pdf.setFont('helvetica', 'normal');
+      pdf.text('Nenhuma ocorrência em aberto com prazo vencido.', this.margin, currentY);
+      return currentY + 10;
+    }
+
+    const columns = [
+      ['Ref', 0, 45],
+      ['Tipo', 45, 40],
+      ['Bloco', 85, 25],
+      ['Prazo', 110, 20],
+      ['Atraso', 130, 15],
+      ['Responsável', 145, 35]
+    ];
+
+    const drawHeader = y => {
+      pdf.setFillColor(...this.colors.lightGray);
+      pdf.rect(this.margin - 3, y - 4, this.contentWidth + 6, 6, 'F');
+      pdf.setTextColor(...this.colors.secondary);
+      pdf.setFontSize(8);
+      pdf.setFont('helvetica', 'bold');
+      columns.forEach(([label, offset]) => pdf.text(label, this.margin + offset, y));
+      return y + 6;
+    };
+
+    currentY = drawHeader(currentY);
+    overdue.forEach(o => {
+      const nextY = this.startNewPageIfNeeded(pdf, currentY, 6);
+      if (nextY !== currentY) currentY = drawHeader(nextY);
+
+      const values = [o.reference, o.tipo, o.bloco || '-', o.prazo, `${o.daysLate} d`, o.responsavel || '-'];
+      pdf.setTextColor(...this.colors.text);
+      pdf.setFontSize(8);
+      pdf.setFont('helvetica', 'normal');
+      columns.forEach(([, offset, width], i) => {
+        pdf.text(this.fitText(pdf, String(values[i]), width - 2), this.margin + offset, currentY);
+      });
+      currentY += 6;
+    });
+
+    return currentY + 6;
+  }
+
+  /**
+   * Ficha compacta de uma ocorrência
+   */
+  addCompactEntry(pdf, o, startY) {
+    pdf.setFontSize(8);
+    pdf.setFont('helvetica', 'normal');
+    const descLines = pdf.splitTextToSize(o.descricao || '-', this.contentWidth - 4).slice(0, 3);
+    const entryHeight = 16 + descLines.length * 4;
+
+    let currentY = this.startNewPageIfNeeded(pdf, startY, entryHeight);
+
+    // Borda esquerda colorida
+    pdf.setFillColor(...this.colors.primary);
+    pdf.rect(this.margin - 3, currentY - 3.5, 1.2, entryHeight - 4, 'F');
+
+    pdf.setTextColor(...this.colors.text);
+    pdf.setFont('helvetica', 'bold');
+    pdf.text(`${o.reference}  |  ${o.tipo}`, this.margin, currentY);
+
+    pdf.setFont('helvetica', 'normal');
+    const right = `${o.createdAt || '-'}  |  ${o.status || '-'}  |  ${o.prioridade || '-'}`;
+    pdf.text(right, this.pageWidth - this.margin, currentY, { align: 'right' });
+    currentY += 4;
+
+    pdf.setTextColor(...this.colors.secondary);
+    const where = `Bloco: ${o.bloco || '-'}  |  Pav.: ${o.pavimento || '-'}  |  Local: ${o.local || '-'}`;
+    pdf.text(this.fitText(pdf, where, this.contentWidth), this.margin, currentY);
+    currentY += 4;
+
+    pdf.setTextColor(...this.colors.text);
+    pdf.text(descLines, this.margin, currentY);
+    currentY += descLines.length * 4;
+
+    pdf.setTextColor(...this.colors.secondary);
+    const follow = `Ação: ${o.acao || '-'}  |  Prazo: ${o.prazo || '-'}  |  Responsável: ${o.responsavel || '-'}`;
+    pdf.text(this.fitText(pdf, follow, this.contentWidth), this.margin, currentY);
+
+    // Separador
+    pdf.setDrawColor(...this.colors.border);
+    pdf.setLineWidth(0.2);
+    pdf.line(this.margin, currentY + 3, this.pageWidth - this.margin, currentY + 3);
+
+    return currentY + 8;
+  }
+}
+
+// Exportar para uso global
+window.PeriodReportPDFGenerator = PeriodReportPDFGenerator;
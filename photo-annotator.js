@@ -0,0 +1,264 @@
+/**
+ * Editor de Anotações em Fotos
+ * Setas, círculos, retângulos, traço livre e textos em vermelho ou amarelo
+ */
+
+class PhotoAnnotator {
+  constructor() {
+    this.maxSize = 1600; // Maior lado da imagem anotada (px)
+    this.colors = { red: '#ef4444', yellow: '#facc15' };
+    this.tools = [
+      { id: 'arrow', label: '➜ Seta' },
+      { id: 'ellipse', label: '◯ Círculo' },
+      { id: 'rect', label: '▭ Retângulo' },
+      { id: 'free', label: '✎ Livre' },
+      { id: 'text', label: 'T Texto' }
+    ];
+
+    this.tool = 'arrow';
+    this.color = this.colors.red;
+    this.shapes = [];
+    this.drawing = null;
+    this.image = null;
+    this.modal = null;
+  }
+
+  /**
+   * Abre o editor para um arquivo de imagem
+   * @returns {Promise<Blob|null>} imagem anotada (JPEG) ou null se cancelado
+   */
+  async open(file) {
+    this.ensureModal();
+    this.image = await this.loadImage(file);
+    this.shapes = [];
+
+    const scale = Math.min(1, this.maxSize / Math.max(this.image.width, this.image.height));
+    this.canvas.width = Math.round(this.image.width * scale);
+    this.canvas.height = Math.round(this.image.height * scale);
+    this.lineWidth = Math.max(4, Math.round(this.canvas.width / 200));
+    this.fontSize = Math.max(24, Math.round(this.canvas.width / 25));
+
+    this.redraw();
+    this.modal.classList.add('show');
+
+    return new Promise(resolve => {
+      this.resolve = resolve;
+    });
+  }
+
+  loadImage(file) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const img = new Image();
+      img.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(img);
+      };
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('Não foi possível abrir a imagem'));
+      };
+      img.src = url;
+    });
+  }
+
+  /**
+   * Cria a janela do editor (uma única vez)
+   */
+  ensureModal() {
+    if (this.modal) return;
+
+    this.modal = document.createElement('div');
+    this.modal.className = 'annotator';
+    this.modal.innerHTML = `
+      <div class="annotator-box">
+        <div class="annotator-toolbar">
+          ${this.tools.map(t => `<button type="button" class="btn" data-tool="${t.id}">${t.label}</button>`).join('')}
+          <button type="button" class="btn color-swatch" data-color="red" title="Vermelho" style="background:${this.colors.red}">&nbsp;</button>
+          <button type="button" class="btn color-swatch" data-color="yellow" title="Amarelo" style="background:${this.colors.yellow}">&nbsp;</button>
+          <button type="button" class="btn" data-action="undo">↶ Desfazer</button>
+        </div>
+        <div class="annotator-stage"><canvas></canvas></div>
+        <div class="annotator-toolbar">
+          <button type="button" class="btn" data-action="cancel">Cancelar</button>
+          <button type="button" class="btn success" data-action="save">✅ Salvar anotações</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(this.modal);
+
+    this.canvas = this.modal.querySelector('canvas');
+    this.ctx = this.canvas.getContext('2d');
+
+    this.modal.querySelectorAll('[data-tool]').forEach(btn => {
+      btn.addEventListener('click', () => this.selectTool(btn.dataset.tool));
+    });
+    this.modal.querySelectorAll('[data-color]').forEach(btn => {
+      btn.addEventListener('click', () => this.selectColor(btn.dataset.color));
+    });
+    this.modal.querySelector('[data-action="undo"]').addEventListener('click', () => {
+      this.shapes.pop();
+      this.redraw();
+    });
+    this.modal.querySelector('[data-action="cancel"]').addEventListener('click', () => this.close(null));
+    this.modal.querySelector('[data-action="save"]').addEventListener('click', () => this.save());
+
+    this.canvas.addEventListener('pointerdown', e => this.onPointerDown(e));
+    this.canvas.addEventListener('pointermove', e => this.onPointerMove(e));
+    this.canvas.addEventListener('pointerup', e => this.onPointerUp(e));
+    this.canvas.addEventListener('pointercancel', () => {
+      this.drawing = null;
+      this.redraw();
+    });
+
+    this.selectTool(this.tool);
+    this.selectColor('red');
+  }
+
+  selectTool(tool) {
+    this.tool = tool;
+    this.modal.querySelectorAll('[data-tool]').forEach(btn => {
+      btn.classList.toggle('primary', btn.dataset.tool === tool);
+    });
+  }
+
+  selectColor(name) {
+    this.color = this.colors[name];
+    this.modal.querySelectorAll('[data-color]').forEach(btn => {
+      btn.classList.toggle('selected', btn.dataset.color === name);
+    });
+  }
+
+  /**
+   * Converte a posição do ponteiro para coordenadas da imagem
+   */
+  toCanvasPoint(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * this.canvas.width / rect.width,
+      y: (e.clientY - rect.top) * this.canvas.height / rect.height
+    };
+  }
+
+  onPointerDown(e) {
+    e.preventDefault();
+    const point = this.toCanvasPoint(e);
+
+    if (this.tool === 'text') {
+      const text = prompt('Texto da anotação:');
+      if (text && text.trim()) {
+        this.shapes.push({ type: 'text', color: this.color, x: point.x, y: point.y, text: text.trim() });
+        this.redraw();
+      }
+      return;
+    }
+
+    this.canvas.setPointerCapture(e.pointerId);
+    this.drawing = { type: this.tool, color: this.color, start: point, end: point, points: [point] };
+  }
+
+  onPointerMove(e) {
+    if (!this.drawing) return;
+    const point = this.toCanvasPoint(e);
+    this.drawing.end = point;
+    if (this.drawing.type === 'free') this.drawing.points.push(point);
+    this.redraw();
+  }
+
+  onPointerUp() {
+    if (!this.drawing) return;
+    const { start, end, type } = this.drawing;
+    const moved = Math.hypot(end.x - start.x, end.y - start.y) > 5;
+    if (moved || (type === 'free' && this.drawing.points.length > 2)) {
+      this.shapes.push(this.drawing);
+    }
+    this.drawing = null;
+    this.redraw();
+  }
+
+  redraw() {
+    const ctx = this.ctx;
+    ctx.drawImage(this.image, 0, 0, this.canvas.width, this.canvas.height);
+    [...this.shapes, this.drawing].filter(Boolean).forEach(shape => this.drawShape(shape));
+  }
+
+  drawShape(shape) {
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.strokeStyle = shape.color;
+    ctx.fillStyle = shape.color;
+    ctx.lineWidth = this.lineWidth;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.shadowColor = 'rgba(0,0,0,0.6)';
+    ctx.shadowBlur = this.lineWidth;
+
+    const { start, end } = shape;
+
+    switch (shape.type) {
+      case 'arrow':
+        this.drawArrow(start, end);
+        break;
+      case 'ellipse':
+        ctx.beginPath();
+        ctx.ellipse((start.x + end.x) / 2, (start.y + end.y) / 2,
+          Math.abs(end.x - start.x) / 2, Math.abs(end.y - start.y) / 2, 0, 0, 2 * Math.PI);
+        ctx.stroke();
+        break;
+      case 'rect':
+        ctx.strokeRect(start.x, start.y, end.x - start.x, end.y - start.y);
+        break;
+      case 'free':
+        ctx.beginPath();
+        shape.points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+        ctx.stroke();
+        break;
+      case 'text':
+        ctx.font = `bold ${this.fontSize}px Arial, sans-serif`;
+        ctx.textBaseline = 'middle';
+        ctx.shadowBlur = 0;
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = Math.max(3, this.fontSize / 6);
+        ctx.strokeText(shape.text, shape.x, shape.y);
+        ctx.fillText(shape.text, shape.x, shape.y);
+        break;
+    }
+
+    ctx.restore();
+  }
+
+  drawArrow(start, end) {
+    const ctx = this.ctx;
+    const angle = Math.atan2(end.y - start.y, end.x - start.x);
+    const head = this.lineWidth * 4;
+
+    ctx.beginPath();
+    ctx.moveTo(start.x, start.y);
+    ctx.lineTo(end.x, end.y);
+    ctx.stroke();
+
+    ctx.beginPath();
+    ctx.moveTo(end.x, end.y);
+    ctx.lineTo(end.x - head * Math.cos(angle - Math.PI / 6), end.y - head * Math.sin(angle - Math.PI / 6));
+    ctx.lineTo(end.x - head * Math.cos(angle + Math.PI / 6), end.y - head * Math.sin(angle + Math.PI / 6));
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  save() {
+    this.drawing = null;
+    this.redraw();
+    this.canvas.toBlob(blob => this.close(blob), 'image/jpeg', 0.92);
+  }
+
+  close(result) {
+    this.modal.classList.remove('show');
+    this.image = null;
+    this.shapes = [];
+    if (this.resolve) this.resolve(result);
+    this.resolve = null;
+  }
+}
+
+// Exportar para uso global
+window.PhotoAnnotator = PhotoAnnotator;
@@ -0,0 +1,173 @@
+/**
+ * Metadados de Fotos (EXIF)
+ * Orientação, data/hora de captura e coordenadas GPS de imagens JPEG
+ */
+
+class PhotoMetadata {
+  /**
+   * Lê os metadados EXIF de um arquivo de imagem
+   * @returns {Promise<{orientation: number, takenAt: string|null, gps: {lat: number, lon: number}|null}>}
+   */
+  static async read(file) {
+    const empty = { orientation: 1, takenAt: null, gps: null };
+    if (!file || !/jpe?g/i.test(file.type || file.name || '')) return empty;
+
+    try {
+      // O bloco EXIF fica no início do arquivo
+      const buffer = await file.slice(0, 256 * 1024).arrayBuffer();
+      return { ...empty, ...PhotoMetadata.parseJpeg(new DataView(buffer)) };
+    } catch (error) {
+      console.warn('Erro ao ler EXIF:', error);
+      return empty;
+    }
+  }
+
+  static parseJpeg(view) {
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return {};
+
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      const size = view.getUint16(offset + 2);
+
+      // APP1 com cabeçalho "Exif\0\0"
+      if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) {
+        return PhotoMetadata.parseTiff(view, offset + 10);
+      }
+      if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break;
+      offset += 2 + size;
+    }
+
+    return {};
+  }
+
+  static parseTiff(view, tiffStart) {
+    const little = view.getUint16(tiffStart) === 0x4949;
+    const ifd0 = tiffStart + view.getUint32(tiffStart + 4, little);
+    const main = PhotoMetadata.readIfd(view, tiffStart, ifd0, little);
+    const result = {};
+
+    if (main[0x0112]) result.orientation = main[0x0112];
+
+    const exif = main[0x8769] ? PhotoMetadata.readIfd(view, tiffStart, tiffStart + main[0x8769], little) : {};
+    const dateTime = exif[0x9003] || main[0x0132];
+    if (dateTime) result.takenAt = dateTime;
+
+    if (main[0x8825]) {
+      const gps = PhotoMetadata.readIfd(view, tiffStart, tiffStart + main[0x8825], little);
+      const lat = PhotoMetadata.toDegrees(gps[0x0002], gps[0x0001]);
+      const lon = PhotoMetadata.toDegrees(gps[0x0004], gps[0x0003]);
+      if (lat !== null && lon !== null) result.gps = { lat, lon };
+    }
+
+    return result;
+  }
+
+  /**
+   * Lê as entradas de um IFD (somente os tipos usados aqui)
+   */
+  static readIfd(view, tiffStart, ifdOffset, little) {
+    const tags = {};
+    if (ifdOffset + 2 > view.byteLength) return tags;
+
+    const count = view.getUint16(ifdOffset, little);
+    for (let i = 0; i < count; i++) {
+      const entry = ifdOffset + 2 + i * 12;
+      if (entry + 12 > view.byteLength) break;
+
+      const tag = view.getUint16(entry, little);
+      const type = view.getUint16(entry + 2, little);
+      const length = view.getUint32(entry + 4, little);
+      const valueOffset = entry + 8;
+
+      switch (type) {
+        case 2: { // ASCII
+          const start = length > 4 ? tiffStart + view.getUint32(valueOffset, little) : valueOffset;
+          let text = '';
+          for (let c = 0; c < length - 1 && start + c < view.byteLength; c++) {
+            text += String.fromCharCode(view.getUint8(start + c));
+          }
+          tags[tag] = text.trim();
+          break;
+        }
+        case 3: // SHORT
+          tags[tag] = view.getUint16(valueOffset, little);
+          break;
+        case 4: // LONG
+          tags[tag] = view.getUint32(valueOffset, little);
+          break;
+        case 5: { // RATIONAL
+          const start = tiffStart + view.getUint32(valueOffset, little);
+          const values = [];
+          for (let r = 0; r < length && start + r * 8 + 8 <= view.byteLength; r++) {
+            const den = view.getUint32(start + r * 8 + 4, little);
+            values.push(den ? view.getUint32(start + r * 8, little) / den : 0);
+          }
+          tags[tag] = values;
+          break;
+        }
+      }
+    }
+
+    return tags;
+  }
+
+  static toDegrees(dms, ref) {
+    if (!Array.isArray(dms) || dms.length < 3) return null;
+    const value = dms[0] + dms[1] / 60 + dms[2] / 3600;
+    return (ref === 'S' || ref === 'W') ? -value : value;
+  }
+
+  /**
+   * Data EXIF "AAAA:MM:DD HH:MM:SS" → "DD/MM/AAAA HH:MM"
+   */
+  static formatTakenAt(takenAt) {
+    const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2})/.exec(takenAt || '');
+    if (!match) return null;
+    const [, y, m, d, h, min] = match;
+    return `${d}/${m}/${y} ${h}:${min}`;
+  }
+
+  static formatGps(gps) {
+    if (!gps) return null;
+    return `${gps.lat.toFixed(6)}, ${gps.lon.toFixed(6)}`;
+  }
+
+  /**
+   * Legenda da foto com data/hora de captura e GPS, quando disponíveis
+   */
+  static caption(number, meta) {
+    const parts = [`Foto ${number}`];
+    const taken = PhotoMetadata.formatTakenAt(meta?.takenAt);
+    const gps = PhotoMetadata.formatGps(meta?.gps);
+    if (taken) parts.push(`Capturada em ${taken}`);
+    if (gps) parts.push(`GPS ${gps}`);
+    return parts.join(' | ');
+  }
+
+  /**
+   * Navegadores atuais já aplicam a orientação EXIF ao desenhar a imagem
+   */
+  static browserAppliesOrientation() {
+    return !!(window.CSS?.supports && CSS.supports('image-orientation', 'from-image'));
+  }
+
+  /**
+   * Aplica no contexto a transformação da orientação EXIF (2 a 8);
+   * width/height são as dimensões originais usadas em drawImage(img, 0, 0, width, height)
+   */
+  static applyOrientation(ctx, orientation, width, height) {
+    switch (orientation) {
+      case 2: ctx.transform(-1, 0, 0, 1, width, 0); break;
+      case 3: ctx.transform(-1, 0, 0, -1, width, height); break;
+      case 4: ctx.transform(1, 0, 0, -1, 0, height); break;
+      case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+      case 6: ctx.transform(0, 1, -1, 0, height, 0); break;
+      case 7: ctx.transform(0, -1, -1, 0, height, width); break;
+      case 8: ctx.transform(0, -1, 1, 0, 0, width); break;
+    }
+  }
+}
+
+// Exportar para uso global
+window.PhotoMetadata = PhotoMetadata;
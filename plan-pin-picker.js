@@ -0,0 +1,87 @@
+/**
+ * Marcação na Planta
+ * Janela com a planta do pavimento: um toque posiciona o pino da ocorrência
+ */
+
+class PlanPinPicker {
+  constructor() {
+    this.pin = null;
+    this.plan = null;
+    this.modal = null;
+  }
+
+  /**
+   * Abre a planta para posicionar o pino
+   * @param {Object} plan - Planta salva (FloorPlans)
+   * @param {Object|null} pin - Posição atual { x, y } (relativa, 0 a 1)
+   * @returns {Promise<Object|null>} { pin: { x, y } | null (marcação removida) } ou null se cancelado
+   */
+  async open(plan, pin = null) {
+    this.ensureModal();
+    this.plan = plan;
+    this.pin = pin ? { x: pin.x, y: pin.y } : null;
+    this.modal.querySelector('[data-role="title"]').textContent = `🗺️ ${plan.bloco} • ${plan.pavimento} — toque no local da ocorrência`;
+    await this.redraw();
+    this.modal.classList.add('show');
+
+    return new Promise(resolve => {
+      this.resolve = resolve;
+    });
+  }
+
+  /**
+   * Cria a janela (uma única vez); usa o mesmo visual do editor de fotos
+   */
+  ensureModal() {
+    if (this.modal) return;
+
+    this.modal = document.createElement('div');
+    this.modal.className = 'annotator';
+    this.modal.innerHTML = `
+      <div class="annotator-box">
+        <strong data-role="title"></strong>
+        <div class="annotator-stage"><canvas></canvas></div>
+        <div class="annotator-toolbar">
+          <button type="button" class="btn" data-action="remove">Remover marcação</button>
+          <button type="button" class="btn" data-action="cancel">Cancelar</button>
+          <button type="button" class="btn success" data-action="save">✅ Confirmar local</button>
+        </div>
+      </div>`;
+    document.body.appendChild(this.modal);
+
+    this.canvas = this.modal.querySelector('canvas');
+    this.canvas.addEventListener('pointerdown', e => {
+      e.preventDefault();
+      const rect = this.canvas.getBoundingClientRect();
+      this.pin = {
+        x: Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1),
+        y: Math.min(Math.max((e.clientY - rect.top) / rect.height, 0), 1)
+      };
+      this.redraw();
+    });
+
+    this.modal.querySelector('[data-action="remove"]').addEventListener('click', () => this.close({ pin: null }));
+    this.modal.querySelector('[data-action="cancel"]').addEventListener('click', () => this.close(null));
+    this.modal.querySelector('[data-action="save"]').addEventListener('click', () => {
+      if (!this.pin) {
+        alert('Toque na planta para marcar o local da ocorrência.');
+        return;
+      }
+      this.close({ pin: this.pin });
+    });
+  }
+
+  redraw() {
+    return FloorPlans.renderPlan(this.canvas, this.plan, this.pin ? [this.pin] : []);
+  }
+
+  close(result) {
+    this.modal.classList.remove('show');
+    this.plan = null;
+    if (this.resolve) this.resolve(result);
+    this.resolve = null;
+  }
+}
+
+// Exportar para uso global
+window.PlanPinPicker = PlanPinPicker;
@@ -0,0 +1,243 @@
+/**
+ * Cadastro de Obras
+ * Cada obra com seus blocos, pavimentos, unidades e locais comuns (importação CSV/JSON)
+ */
+
+class ProjectRegistry {
+  /**
+   * @param {OccurrenceStore} store - Banco local onde as obras são persistidas
+   */
+  constructor(store) {
+    this.store = store;
+    this.storeName = 'projects';
+  }
+
+  async list() {
+    const objectStore = await this.store.objectStore(this.storeName);
+    const projects = await this.store.request(objectStore.getAll());
+    return projects.sort((a, b) => a.nome.localeCompare(b.nome, 'pt-BR'));
+  }
+
+  async get(id) {
+    if (!id) return null;
+    const objectStore = await this.store.objectStore(this.storeName);
+    return this.store.request(objectStore.get(id));
+  }
+
+  /**
+   * Salva (cria ou atualiza) uma obra
+   * @param {Object} project - { id?, nome, codigo?, blocos: [{ nome, pavimentos: [{ nome, unidades: [] }] }], locais: [] }
+   */
+  async save(project) {
+    const nome = (project.nome || '').trim();
+    if (!nome) throw new Error('Informe o nome da obra');
+
+    const toSave = ProjectRegistry.normalize({ ...project, nome, id: project.id || this.store.generateId() });
+    const objectStore = await this.store.objectStore(this.storeName, 'readwrite');
+    await this.store.request(objectStore.put(toSave));
+    return toSave;
+  }
+
+  async remove(id) {
+    const objectStore = await this.store.objectStore(this.storeName, 'readwrite');
+    return this.store.request(objectStore.delete(id));
+  }
+
+  /**
+   * Importa obras de um JSON (uma obra ou lista) ou CSV; obras com o mesmo nome são mescladas
+   * @returns {Promise<Object>} { projects: obras salvas, warnings: linhas e itens ignorados }
+   */
+  async import(text, fileName = '') {
+    const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+    const warnings = [];
+    const incoming = isJson ? [].concat(JSON.parse(text)) : ProjectRegistry.parseCSV(text, warnings);
+    const existing = await this.list();
+
+    const saved = [];
+    for (const [index, item] of incoming.entries()) {
+      if (!item || typeof item !== 'object' || !String(item.nome || '').trim()) {
+        warnings.push(`Obra nº ${index + 1}: sem nome, ignorada`);
+        continue;
+      }
+      const project = ProjectRegistry.normalize(item, warnings);
+      const current = existing.find(p => p.id === project.id || p.nome.toLowerCase() === String(project.nome).trim().toLowerCase());
+      saved.push(await this.save(current ? ProjectRegistry.merge(current, project) : project));
+    }
+    return { projects: saved, warnings };
+  }
+
+  /**
+   * CSV com cabeçalho obra;bloco;pavimento;unidade;local (separador ; ou ,) e coluna opcional codigo
+   * @param {string[]} warnings - Recebe as linhas ignoradas ou incompletas
+   */
+  static parseCSV(text, warnings = []) {
+    text = text.replace(/^\uFEFF/, '');
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const separator = (firstLine.match(/;/g) || []).length >= (firstLine.match(/,/g) || []).length ? ';' : ',';
+    const rows = ProjectRegistry.csvRows(text, separator).filter(row => row.cells.some(cell => cell.trim()));
+    if (rows.length < 2) throw new Error('CSV vazio: use o cabeçalho obra;bloco;pavimento;unidade;local');
+
+    const header = rows[0].cells.map(cell => cell.trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, ''));
+    const column = name => header.indexOf(name);
+    if (column('obra') === -1) throw new Error('CSV sem a coluna "obra"');
+
+    const projects = new Map();
+    rows.slice(1).forEach(({ line, cells }) => {
+      const value = name => (column(name) >= 0 ? (cells[column(name)] || '').trim() : '');
+      const nome = value('obra');
+      if (!nome) {
+        warnings.push(`Linha ${line}: sem o nome da obra, ignorada`);
+        return;
+      }
+      if (cells.length > header.length) warnings.push(`Linha ${line}: ${cells.length} colunas para ${header.length} no cabeçalho (use aspas em textos com "${separator}")`);
+
+      const project = projects.get(nome) || { nome, codigo: value('codigo'), blocos: [], locais: [] };
+      projects.set(nome, project);
+      if (!value('bloco') && (value('pavimento') || value('unidade'))) {
+        warnings.push(`Linha ${line}: pavimento/unidade sem bloco, ignorados`);
+      } else if (!value('pavimento') && value('unidade')) {
+        warnings.push(`Linha ${line}: unidade sem pavimento, ignorada`);
+      }
+      ProjectRegistry.addPath(project, value('bloco'), value('pavimento'), value('unidade'));
+      if (value('local')) project.locais.push(value('local'));
+    });
+
+    return Array.from(projects.values());
+  }
+
+  /**
+   * Divide o CSV em linhas e células respeitando aspas ("Bloco A; Torre 1", "" dentro de aspas,
+   * quebra de linha dentro da célula)
+   * @returns {{line: number, cells: string[]}[]} line: número da linha no arquivo onde o registro começa
+   */
+  static csvRows(text, separator) {
+    const rows = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let start = 1;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          if (char === '\n') line++;
+          cell += char;
+        }
+      } else if (char === '"' && !cell.trim()) {
+        quoted = true;
+        cell = '';
+      } else if (char === separator) {
+        cells.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        cells.push(cell);
+        rows.push({ line: start, cells });
+        cells = [];
+        cell = '';
+        start = ++line;
+      } else {
+        cell += char;
+      }
+    }
+    if (quoted) throw new Error(`CSV com aspas sem fechamento (registro iniciado na linha ${start})`);
+    if (cell || cells.length) {
+      cells.push(cell);
+      rows.push({ line: start, cells });
+    }
+    return rows;
+  }
+
+  /**
+   * Inclui bloco > pavimento > unidade na estrutura (sem duplicar)
+   */
+  static addPath(project, blocoNome, pavimentoNome, unidade) {
+    if (!blocoNome) return;
+    let bloco = project.blocos.find(b => b.nome === blocoNome);
+    if (!bloco) project.blocos.push(bloco = { nome: blocoNome, pavimentos: [] });
+
+    if (!pavimentoNome) return;
+    let pavimento = bloco.pavimentos.find(p => p.nome === pavimentoNome);
+    if (!pavimento) bloco.pavimentos.push(pavimento = { nome: pavimentoNome, unidades: [] });
+
+    if (unidade && !pavimento.unidades.includes(unidade)) pavimento.unidades.push(unidade);
+  }
+
+  static merge(current, incoming) {
+    const merged = { ...current, blocos: JSON.parse(JSON.stringify(current.blocos)), locais: [...current.locais] };
+    (incoming.blocos || []).forEach(bloco => {
+      if (!(bloco.pavimentos || []).length) ProjectRegistry.addPath(merged, bloco.nome);
+      (bloco.pavimentos || []).forEach(pavimento => {
+        if (!(pavimento.unidades || []).length) ProjectRegistry.addPath(merged, bloco.nome, pavimento.nome);
+        (pavimento.unidades || []).forEach(unidade => ProjectRegistry.addPath(merged, bloco.nome, pavimento.nome, unidade));
+      });
+    });
+    merged.locais.push(...(incoming.locais || []));
+    return merged;
+  }
+
+  /**
+   * Estrutura consistente: listas sempre presentes, sem vazios nem locais repetidos
+   * @param {string[]} warnings - Recebe os blocos e pavimentos descartados por não terem nome
+   */
+  static normalize(project, warnings = []) {
+    const named = (items, label) => (Array.isArray(items) ? items : []).filter((item, index) => {
+      if (item && typeof item === 'object' && String(item.nome ?? '').trim()) return true;
+      warnings.push(`Obra "${project.nome}": ${label} nº ${index + 1} sem nome, ignorado`);
+      return false;
+    });
+
+    return {
+      ...project,
+      codigo: ProjectRegistry.codeFor(project.codigo || project.nome),
+      blocos: named(project.blocos, 'bloco').map(bloco => ({
+        nome: String(bloco.nome).trim(),
+        pavimentos: named(bloco.pavimentos, `pavimento do bloco "${String(bloco.nome).trim()}"`).map(pavimento => ({
+          nome: String(pavimento.nome).trim(),
+          unidades: Array.from(new Set((pavimento.unidades || []).map(u => String(u).trim()).filter(Boolean)))
+        }))
+      })),
+      locais: Array.from(new Set((project.locais || []).map(l => String(l).trim()).filter(Boolean)))
+    };
+  }
+
+  /**
+   * Código da obra usado na referência das ocorrências ("Obra 12 - Jardins" → "OBRA12JARD")
+   */
+  static codeFor(text) {
+    return (text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 10);
+  }
+
+  /**
+   * Texto editável: uma linha "Bloco / Pavimento / Unidade" por caminho
+   */
+  static toStructureText(project) {
+    const lines = [];
+    (project?.blocos || []).forEach(bloco => {
+      if (!bloco.pavimentos.length) lines.push(bloco.nome);
+      bloco.pavimentos.forEach(pavimento => {
+        if (!pavimento.unidades.length) lines.push(`${bloco.nome} / ${pavimento.nome}`);
+        pavimento.unidades.forEach(unidade => lines.push(`${bloco.nome} / ${pavimento.nome} / ${unidade}`));
+      });
+    });
+    return lines.join('\n');
+  }
+
+  static fromStructureText(text) {
+    const project = { blocos: [] };
+    text.split('\n').map(line => line.split('/').map(part => part.trim())).forEach(([bloco, pavimento, unidade]) => {
+      ProjectRegistry.addPath(project, bloco, pavimento, unidade);
+    });
+    return project.blocos;
+  }
+}
+
+// Exportar para uso global
+window.ProjectRegistry = ProjectRegistry;
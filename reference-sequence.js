@@ -0,0 +1,123 @@
+/**
+ * Numeração de Ocorrências
+ * Referência única atribuída uma vez por ocorrência: OBRA-OC-ANO-APARELHO-SEQUÊNCIA (ex.: OBRA12-OC-2026-K7M4Q-0457)
+ */
+
+class ReferenceSequence {
+  /**
+   * @param {OccurrenceStore} store - Banco local onde ficam os contadores
+   * @param {Object} options
+   * @param {string} options.deviceKey - Chave do localStorage com o prefixo deste aparelho
+   */
+  constructor(store, { deviceKey = 'device_prefix' } = {}) {
+    this.store = store;
+    this.storeName = 'counters';
+    this.deviceKey = deviceKey;
+    this.digits = 4;
+    this.prefixLength = 5; // 32^5 combinações: repetição entre aparelhos de uma empresa é improvável
+    // Sem letras/números parecidos (O/0, I/1) para facilitar a leitura em campo
+    this.alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  }
+
+  /**
+   * Prefixo do aparelho: evita que dois celulares gerem a mesma referência offline
+   */
+  devicePrefix() {
+    let prefix = localStorage.getItem(this.deviceKey);
+    if (!prefix) {
+      const random = crypto.getRandomValues(new Uint8Array(this.prefixLength));
+      prefix = Array.from(random, byte => this.alphabet[byte % this.alphabet.length]).join('');
+      localStorage.setItem(this.deviceKey, prefix);
+    }
+    return prefix;
+  }
+
+  /**
+   * Troca o prefixo do aparelho; recusa prefixo já usado nas referências deste banco
+   * (ocorrências importadas de outros celulares)
+   */
+  async setDevicePrefix(prefix) {
+    const value = (prefix || '').trim().toUpperCase();
+    if (!/^[A-Z0-9]{4,6}$/.test(value)) throw new Error('O prefixo do aparelho deve ter de 4 a 6 letras ou números');
+    if (value !== this.devicePrefix() && (await this.usedDevicePrefixes()).has(value)) {
+      throw new Error(`O prefixo ${value} já aparece em ocorrências de outro aparelho`);
+    }
+    localStorage.setItem(this.deviceKey, value);
+    return value;
+  }
+
+  /**
+   * Prefixos de aparelho presentes nas referências salvas
+   */
+  async usedDevicePrefixes() {
+    const index = (await this.store.objectStore('occurrences')).index('reference');
+    const prefixes = new Set();
+
+    return new Promise((resolve, reject) => {
+      const cursorRequest = index.openKeyCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) {
+          resolve(prefixes);
+          return;
+        }
+        const device = String(cursor.key).match(/(?:^|-)OC-\d{4}-([A-Z0-9]+)-\d+$/)?.[1];
+        if (device) prefixes.add(device);
+        cursor.continue();
+      };
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+  }
+
+  /**
+   * Parte fixa da referência (obra, ano no fuso de Brasília e aparelho)
+   */
+  prefixFor(project, date = new Date()) {
+    const year = this.store.toBrDay(date.toISOString()).slice(0, 4);
+    const code = project?.codigo || ProjectRegistry.codeFor(project?.nome);
+    return [code, 'OC', year, this.devicePrefix()].filter(Boolean).join('-');
+  }
+
+  /**
+   * Reserva o próximo número da sequência da obra (contador e leitura na mesma transação)
+   * @param {Object|null} project - Obra da ocorrência (sem obra usa a sequência geral do aparelho)
+   * @returns {Promise<string>} referência definitiva
+   */
+  async next(project, date = new Date()) {
+    const prefix = this.prefixFor(project, date);
+    const db = await this.store.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([this.storeName, 'occurrences'], 'readwrite');
+      const counters = transaction.objectStore(this.storeName);
+      let reference = null;
+
+      const reserve = value => {
+        counters.put({ id: prefix, value, updatedAt: new Date().toISOString() });
+        reference = `${prefix}-${String(value).padStart(this.digits, '0')}`;
+      };
+
+      counters.get(prefix).onsuccess = event => {
+        const counter = event.target.result;
+        if (counter) {
+          reserve(counter.value + 1);
+          return;
+        }
+
+        // Sem contador (banco restaurado ou limpo): continua do maior número já usado
+        const range = IDBKeyRange.bound(`${prefix}-`, `${prefix}-\uffff`);
+        transaction.objectStore('occurrences').index('reference').getAll(range).onsuccess = ({ target }) => {
+          const used = target.result.map(record => parseInt(record.reference.slice(prefix.length + 1), 10) || 0);
+          reserve(Math.max(0, ...used) + 1);
+        };
+      };
+
+      transaction.oncomplete = () => resolve(reference);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Numeração da ocorrência cancelada'));
+    });
+  }
+}
+
+// Exportar para uso global
+window.ReferenceSequence = ReferenceSequence;
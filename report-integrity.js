@@ -0,0 +1,160 @@
+/**
+ * Integridade dos Relatórios
+ * Hash SHA-256 do conteúdo (campos, fotos e assinaturas), código de verificação do QR
+ * e conferência de um PDF ou QR recebido contra o registro salvo
+ */
+
+class ReportIntegrity {
+  /**
+   * @param {OccurrenceStore} store - Banco local das ocorrências
+   * @param {Object} options
+   * @param {string} options.baseUrl - Endereço do app aberto pelo QR (tela de verificação)
+   */
+  constructor(store, { baseUrl = '' } = {}) {
+    this.store = store;
+    this.baseUrl = baseUrl;
+  }
+
+  /**
+   * JSON com chaves ordenadas: o mesmo conteúdo sempre gera o mesmo hash
+   */
+  static canonical(value) {
+    if (Array.isArray(value)) return `[${value.map(item => ReportIntegrity.canonical(item)).join(',')}]`;
+    if (value && typeof value === 'object') {
+      const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+      return `{${keys.map(key => `${JSON.stringify(key)}:${ReportIntegrity.canonical(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+  }
+
+  /**
+   * SHA-256 em hexadecimal
+   * @param {string|Blob|ArrayBuffer|Uint8Array} data
+   */
+  static async sha256(data) {
+    let bytes = data;
+    if (typeof data === 'string') bytes = new TextEncoder().encode(data);
+    else if (data instanceof Blob) bytes = await data.arrayBuffer();
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Hash do conteúdo do registro; status, histórico e notificações ficam de fora
+   * (mudam depois da emissão sem alterar o que foi relatado)
+   * @param {Object} record - Ocorrência salva
+   * @param {Object} options - { signatures: false } para o conteúdo que as assinaturas confirmam
+   */
+  async contentHash(record, { signatures = true } = {}) {
+    const { fone, ...data } = record.data || {};
+    const payload = {
+      reference: record.reference,
+      createdAt: record.createdAt,
+      data,
+      photos: await ReportIntegrity.photoHashes(record.photos)
+    };
+    // Só entra quando há fotos do depois, para não mudar o hash dos registros emitidos sem elas
+    if ((record.afterPhotos || []).length) payload.afterPhotos = await ReportIntegrity.photoHashes(record.afterPhotos);
+    if (signatures) {
+      payload.signatures = await Promise.all((record.signatures || []).map(async ({ imagem, ...info }) => ({
+        ...info,
+        imagem: await ReportIntegrity.sha256(imagem || '')
+      })));
+    }
+    return ReportIntegrity.sha256(ReportIntegrity.canonical(payload));
+  }
+
+  static photoHashes(photos = []) {
+    return Promise.all(photos.map(photo => (photo.blob ? ReportIntegrity.sha256(photo.blob) : photo.id)));
+  }
+
+  /**
+   * Endereço gravado no QR: abre a tela de verificação já preenchida
+   */
+  verificationUrl(reference, hash) {
+    return `${this.baseUrl}#verificar=${encodeURIComponent(reference)}:${hash}`;
+  }
+
+  /**
+   * Lê o código do QR, o endereço completo ou só o hash digitado
+   * @returns {Object|null} { reference, hash } ou null se o texto não for um código válido
+   */
+  static parseCode(text) {
+    let value;
+    try {
+      value = decodeURIComponent(String(text || '').trim());
+    } catch (error) {
+      // "%" solto no texto colado: não é um código emitido pelo app
+      return null;
+    }
+    const full = value.match(/([A-Z0-9][A-Z0-9-]*):([0-9a-f]{64})\b/i);
+    if (full) return { reference: full[1], hash: full[2].toLowerCase() };
+    const hash = value.match(/\b[0-9a-f]{64}\b/i);
+    return hash ? { reference: '', hash: hash[0].toLowerCase() } : null;
+  }
+
+  /**
+   * Extrai referência e hash dos metadados de um PDF emitido pelo app e calcula o hash do arquivo
+   * @returns {Promise<Object>} { reference, hash, pdfHash }
+   */
+  static async readPdf(file) {
+    const bytes = await file.arrayBuffer();
+    const text = new TextDecoder('latin1').decode(bytes);
+    // Só a entrada Keywords gravada pelo PDFGenerator, não o texto da descrição ou das fotos
+    const keywords = text.match(/\/Keywords\s*\(ref:([A-Z0-9-]*) sha256:([0-9a-f]{64})\)/i);
+    if (!keywords) throw new Error('PDF sem código de verificação (não foi emitido por este aplicativo ou é anterior à verificação)');
+    return {
+      reference: keywords[1],
+      hash: keywords[2].toLowerCase(),
+      pdfHash: await ReportIntegrity.sha256(bytes)
+    };
+  }
+
+  async findByReference(reference) {
+    const objectStore = await this.store.objectStore('occurrences');
+    return (await this.store.request(objectStore.index('reference').get(reference))) || null;
+  }
+
+  /**
+   * Confere um PDF ou QR contra o registro salvo neste aparelho
+   * @param {Object} claim - { reference, hash, pdfHash? }
+   * @returns {Promise<Object>} { status, titulo, detalhe, record }
+   *   status: 'autentico' | 'alterado-depois' | 'arquivo-modificado' | 'divergente' | 'nao-encontrado'
+   */
+  async verify({ reference, hash, pdfHash }) {
+    const record = reference
+      ? await this.findByReference(reference)
+      : (await this.store.getAll()).find(r => (r.integrity || []).some(entry => entry.hash === hash)) || null;
+    if (!record) {
+      return {
+        status: 'nao-encontrado',
+        titulo: 'Registro não encontrado neste aparelho',
+        detalhe: `Nenhuma ocorrência ${reference || 'com este código'} no histórico local. Confira no aparelho que emitiu o relatório ou restaure o backup.`,
+        record: null
+      };
+    }
+
+    const current = await this.contentHash(record);
+    const issued = (record.integrity || []).find(entry => (pdfHash ? entry.pdfHash === pdfHash : entry.hash === hash));
+    const result = (status, titulo, detalhe) => ({ status, titulo, detalhe, record });
+
+    if (issued && issued.hash === current) {
+      return result('autentico', '✅ Documento autêntico',
+        `${pdfHash ? 'Arquivo idêntico ao PDF emitido' : 'Código emitido'} em ${issued.at}; o registro não foi alterado desde então.`);
+    }
+    if (issued) {
+      return result('alterado-depois', '⚠️ Documento autêntico, mas desatualizado',
+        `Emitido em ${issued.at}; o registro foi alterado depois (campos, fotos ou assinaturas). Gere um novo PDF.`);
+    }
+    if (hash === current) {
+      return result(pdfHash ? 'arquivo-modificado' : 'autentico',
+        pdfHash ? '⚠️ Conteúdo confere, mas o arquivo não é o emitido' : '✅ Código confere com o registro',
+        pdfHash ? 'O hash declarado corresponde ao registro, porém este arquivo PDF não é nenhum dos emitidos (pode ter sido editado).' : 'O hash corresponde ao conteúdo atual do registro.');
+    }
+    return result('divergente', '❌ Documento não confere',
+      'O hash do documento não corresponde a nenhuma versão emitida deste registro: o conteúdo foi alterado ou o documento é falso.');
+  }
+}
+
+// Exportar para uso global
+window.ReportIntegrity = ReportIntegrity;
@@ -0,0 +1,137 @@
+/**
+ * Cofre da Chave de API
+ * Chave cifrada com PIN/senha (PBKDF2 + AES-GCM via WebCrypto) e bloqueio por inatividade
+ */
+
+class SecureKeyStore {
+  constructor({ storageKey = 'ai_key_vault', autoLockMs = 5 * 60 * 1000, onLock = null } = {}) {
+    this.storageKey = storageKey;
+    this.autoLockMs = autoLockMs;
+    this.onLock = onLock;
+    this.iterations = 250000;
+    this.minPinLength = 8; // PIN curto cai rápido num ataque offline a uma cópia do localStorage
+    this.key = null; // Chave decifrada, somente em memória
+    this.timer = null;
+  }
+
+  static isSupported() {
+    return !!(window.crypto?.subtle && window.isSecureContext !== false);
+  }
+
+  hasStoredKey() {
+    return !!localStorage.getItem(this.storageKey);
+  }
+
+  isUnlocked() {
+    return !!this.key;
+  }
+
+  getKey() {
+    return this.key;
+  }
+
+  /**
+   * Deriva a chave AES a partir do PIN
+   */
+  async deriveKey(pin, salt, iterations = this.iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Cifra e guarda a chave; ela fica desbloqueada nesta sessão
+   */
+  async save(apiKey, pin) {
+    if (!SecureKeyStore.isSupported()) throw new Error('Armazenamento seguro indisponível neste navegador');
+    if (!pin || pin.length < this.minPinLength) throw new Error(`Use uma senha com pelo menos ${this.minPinLength} caracteres`);
+    if (!apiKey) throw new Error('Informe a chave da API');
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const aesKey = await this.deriveKey(pin, salt);
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, aesKey, new TextEncoder().encode(apiKey));
+
+    localStorage.setItem(this.storageKey, JSON.stringify({
+      v: 1,
+      iterations: this.iterations,
+      salt: SecureKeyStore.toBase64(salt),
+      iv: SecureKeyStore.toBase64(iv),
+      data: SecureKeyStore.toBase64(new Uint8Array(data))
+    }));
+
+    this.key = apiKey;
+    this.touch();
+  }
+
+  /**
+   * Decifra a chave com o PIN; falha se o PIN estiver incorreto
+   */
+  async unlock(pin) {
+    const stored = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+    if (!stored) throw new Error('Nenhuma chave salva neste dispositivo');
+
+    try {
+      const salt = SecureKeyStore.fromBase64(stored.salt);
+      const iv = SecureKeyStore.fromBase64(stored.iv);
+      const aesKey = await this.deriveKey(pin, salt, stored.iterations || this.iterations);
+
+      const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, aesKey, SecureKeyStore.fromBase64(stored.data));
+      this.key = new TextDecoder().decode(plain);
+    } catch (error) {
+      throw new Error('Senha incorreta');
+    }
+
+    this.touch();
+    return this.key;
+  }
+
+  /**
+   * Usa uma chave apenas nesta sessão (sem gravar), com o mesmo bloqueio automático
+   */
+  setSessionKey(apiKey) {
+    this.key = apiKey || null;
+    if (this.key) this.touch();
+    else clearTimeout(this.timer);
+  }
+
+  /**
+   * Reinicia a contagem de inatividade
+   */
+  touch() {
+    if (!this.key) return;
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.lock(), this.autoLockMs);
+  }
+
+  lock() {
+    clearTimeout(this.timer);
+    const wasUnlocked = !!this.key;
+    this.key = null;
+    if (wasUnlocked && this.onLock) this.onLock();
+  }
+
+  /**
+   * Apaga a chave cifrada deste dispositivo
+   */
+  clear() {
+    localStorage.removeItem(this.storageKey);
+    this.lock();
+  }
+
+  static toBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+  }
+
+  static fromBase64(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+  }
+}
+
+// Exportar para uso global
+window.SecureKeyStore = SecureKeyStore;
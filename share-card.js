@@ -0,0 +1,333 @@
+/**
+ * Cartão de Compartilhamento
+ * Imagem 1080×1350 (formato retrato do WhatsApp) com marca, prioridade, campos principais e colagem de fotos
+ */
+
+class OccurrenceShareCard {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas de trabalho (index.html declara #cardCanvas)
+   */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.width = canvas.width;
+    this.height = canvas.height;
+    this.padding = 56;
+    this.logoUrl = 'assets/system_engenharia_logo.png';
+    this.companyName = 'System Engenharia';
+    this.signature = 'Sistema Profissional de Gestão';
+    this.client = { nome: '', logo: '' };
+
+    // Mesma paleta do PDF
+    this.colors = {
+      primary: '#007bff',
+      secondary: '#28a745',
+      text: '#333333',
+      muted: '#6b7280',
+      lightGray: '#f8f9fa',
+      border: '#dee2e6'
+    };
+    this.priorityColors = {
+      'Crítica': '#dc2626',
+      'Alta': '#f59e0b',
+      'Média': '#0ea5e9',
+      'Baixa': '#64748b'
+    };
+  }
+
+  /**
+   * Aplica um perfil de marca (BrandingProfiles) antes de desenhar
+   */
+  applyBranding(profile) {
+    if (!profile) return this;
+    this.colors = { ...this.colors, primary: profile.corPrimaria, secondary: profile.corSecundaria };
+    this.logoUrl = profile.logo;
+    this.companyName = profile.empresa;
+    this.signature = profile.assinatura;
+    this.client = profile.cliente || { nome: '', logo: '' };
+    return this;
+  }
+
+  /**
+   * Desenha o cartão
+   * @param {Object} data - Campos no formato do relatório (reference, tipo, obra, bloco, pavimento, local, descricao, acao, prioridade, prazo, responsavel, createdAt, status, planta?)
+   * @param {Array} photos - Fotos ({ url }) — até 4 entram na colagem (3 quando há planta)
+   */
+  async render(data, photos = []) {
+    const ctx = this.ctx;
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, this.width, this.height);
+
+    let y = await this.drawHeader(data);
+    y = this.drawPriority(data, y + 40);
+    y = this.drawFields(data, y + 28);
+
+    // Com cliente (co-branding) o rodapé ganha uma linha
+    const footerTop = this.height - (this.client.nome || this.client.logo ? 150 : 90);
+    // A planta com o pino entra como último quadro da colagem
+    const tiles = data.planta
+      ? [...photos.slice(0, 3), { url: data.planta.imagem, legenda: data.planta.legenda }]
+      : photos.slice(0, 4);
+    if (tiles.length > 0 && footerTop - y > 200) {
+      await this.drawCollage(tiles, this.padding, y + 24, this.width - 2 * this.padding, footerTop - y - 48);
+    }
+
+    await this.drawFooter(data, footerTop);
+    return this.canvas;
+  }
+
+  async drawHeader(data) {
+    const ctx = this.ctx;
+    const bandHeight = 210;
+    ctx.fillStyle = this.colors.primary;
+    ctx.fillRect(0, 0, this.width, bandHeight);
+
+    const logo = await this.loadImage(this.logoUrl).catch(() => null);
+    if (logo) {
+      // Logo sobre fundo branco arredondado, como no PDF
+      const logoHeight = 110;
+      const logoWidth = Math.min(300, logoHeight * (logo.naturalWidth / logo.naturalHeight));
+      ctx.fillStyle = '#ffffff';
+      this.roundRect(this.padding - 12, 38, logoWidth + 24, logoHeight + 24, 16);
+      ctx.fill();
+      ctx.drawImage(logo, this.padding, 50, logoWidth, logoHeight);
+    } else {
+      ctx.fillStyle = '#ffffff';
+      ctx.font = 'bold 40px Helvetica, Arial, sans-serif';
+      ctx.fillText(this.fit(this.companyName.toUpperCase(), 340), this.padding, 120);
+    }
+
+    ctx.textAlign = 'right';
+    ctx.fillStyle = '#ffffff';
+    ctx.font = 'bold 44px Helvetica, Arial, sans-serif';
+    ctx.fillText('OCORRÊNCIA DE OBRA', this.width - this.padding, 92);
+    ctx.font = '32px Helvetica, Arial, sans-serif';
+    ctx.fillText(`Ref: ${data.reference || '-'}`, this.width - this.padding, 140);
+    if (data.obra) {
+      ctx.font = 'bold 30px Helvetica, Arial, sans-serif';
+      ctx.fillText(this.fit(`Obra: ${data.obra}`, this.width - 2 * this.padding - 340), this.width - this.padding, 182);
+    }
+    ctx.textAlign = 'left';
+
+    return bandHeight;
+  }
+
+  /**
+   * Selo colorido da prioridade e tipo da ocorrência
+   */
+  drawPriority(data, y) {
+    const ctx = this.ctx;
+    const label = `PRIORIDADE ${(data.prioridade || '-').toUpperCase()}`;
+    ctx.font = 'bold 34px Helvetica, Arial, sans-serif';
+    const badgeWidth = ctx.measureText(label).width + 56;
+
+    ctx.fillStyle = this.priorityColors[data.prioridade] || this.colors.primary;
+    this.roundRect(this.padding, y, badgeWidth, 64, 32);
+    ctx.fill();
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(label, this.padding + 28, y + 44);
+
+    if (data.status) {
+      ctx.font = 'bold 28px Helvetica, Arial, sans-serif';
+      ctx.fillStyle = this.colors.muted;
+      ctx.textAlign = 'right';
+      ctx.fillText(data.status.toUpperCase(), this.width - this.padding, y + 42);
+      ctx.textAlign = 'left';
+    }
+
+    ctx.fillStyle = this.colors.text;
+    ctx.font = 'bold 52px Helvetica, Arial, sans-serif';
+    const lines = this.wrap(data.tipo || '(sem tipo)', this.width - 2 * this.padding, 2);
+    lines.forEach((line, index) => ctx.fillText(line, this.padding, y + 140 + index * 62));
+    return y + 140 + (lines.length - 1) * 62;
+  }
+
+  drawFields(data, y) {
+    const ctx = this.ctx;
+    const place = [data.bloco, data.pavimento, data.local].filter(Boolean).join(' • ') || '-';
+    const fields = [
+      ['📍 Local', place],
+      ['🛠️ Ação', data.acao || '-'],
+      ['📅 Prazo', data.prazo || '-'],
+      ['👷 Responsável', data.responsavel || '-']
+    ];
+
+    fields.forEach(([label, value]) => {
+      y += 50;
+      ctx.font = 'bold 30px Helvetica, Arial, sans-serif';
+      ctx.fillStyle = this.colors.muted;
+      ctx.fillText(label, this.padding, y);
+      ctx.font = '32px Helvetica, Arial, sans-serif';
+      ctx.fillStyle = this.colors.text;
+      ctx.fillText(this.fit(value, this.width - 2 * this.padding - 250), this.padding + 250, y);
+    });
+
+    // Descrição em caixa cinza (máx. 4 linhas)
+    ctx.font = '32px Helvetica, Arial, sans-serif';
+    const lines = this.wrap(data.descricao || '-', this.width - 2 * this.padding - 48, 4);
+    const boxHeight = 40 + lines.length * 44;
+    y += 32;
+    ctx.fillStyle = this.colors.lightGray;
+    this.roundRect(this.padding, y, this.width - 2 * this.padding, boxHeight, 18);
+    ctx.fill();
+    ctx.fillStyle = this.colors.primary;
+    ctx.fillRect(this.padding, y, 8, boxHeight);
+    ctx.fillStyle = this.colors.text;
+    lines.forEach((line, index) => ctx.fillText(line, this.padding + 28, y + 52 + index * 44));
+
+    return y + boxHeight;
+  }
+
+  /**
+   * Colagem: 1 foto inteira, 2 lado a lado, 3 (uma grande + duas) ou 4 em grade
+   */
+  async drawCollage(photos, x, y, width, height) {
+    const gap = 12;
+    const half = (size) => (size - gap) / 2;
+    const layouts = {
+      1: [[0, 0, width, height]],
+      2: [[0, 0, half(width), height], [half(width) + gap, 0, half(width), height]],
+      3: [[0, 0, half(width), height], [half(width) + gap, 0, half(width), half(height)], [half(width) + gap, half(height) + gap, half(width), half(height)]],
+      4: [[0, 0, half(width), half(height)], [half(width) + gap, 0, half(width), half(height)],
+        [0, half(height) + gap, half(width), half(height)], [half(width) + gap, half(height) + gap, half(width), half(height)]]
+    };
+
+    const cells = layouts[photos.length];
+    for (const [index, photo] of photos.entries()) {
+      const [cx, cy, cw, ch] = cells[index];
+      const img = await this.loadImage(photo.url).catch(() => null);
+      this.ctx.save();
+      this.roundRect(x + cx, y + cy, cw, ch, 16);
+      this.ctx.clip();
+      if (img && photo.legenda) {
+        // Planta inteira (contain), para o pino não sair do quadro
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.fillRect(x + cx, y + cy, cw, ch);
+        const scale = Math.min(cw / img.naturalWidth, ch / img.naturalHeight);
+        const dw = img.naturalWidth * scale;
+        const dh = img.naturalHeight * scale;
+        this.ctx.drawImage(img, x + cx + (cw - dw) / 2, y + cy + (ch - dh) / 2, dw, dh);
+        this.drawTileLabel(`🗺️ ${photo.legenda}`, x + cx, y + cy + ch, cw);
+      } else if (img) {
+        // Recorte centralizado (cover)
+        const scale = Math.max(cw / img.naturalWidth, ch / img.naturalHeight);
+        const sw = cw / scale;
+        const sh = ch / scale;
+        this.ctx.drawImage(img, (img.naturalWidth - sw) / 2, (img.naturalHeight - sh) / 2, sw, sh, x + cx, y + cy, cw, ch);
+      } else {
+        this.ctx.fillStyle = this.colors.border;
+        this.ctx.fillRect(x + cx, y + cy, cw, ch);
+      }
+      this.ctx.restore();
+    }
+  }
+
+  /**
+   * Faixa escura com texto no pé de um quadro da colagem
+   */
+  drawTileLabel(text, x, bottom, width) {
+    const ctx = this.ctx;
+    ctx.fillStyle = 'rgba(15, 23, 42, 0.75)';
+    ctx.fillRect(x, bottom - 48, width, 48);
+    ctx.font = 'bold 24px Helvetica, Arial, sans-serif';
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(this.fit(text, width - 32), x + 16, bottom - 16);
+  }
+
+  async drawFooter(data, y) {
+    const ctx = this.ctx;
+    ctx.fillStyle = this.colors.border;
+    ctx.fillRect(this.padding, y, this.width - 2 * this.padding, 2);
+
+    if (this.client.nome || this.client.logo) {
+      let x = this.padding;
+      const logo = this.client.logo ? await this.loadImage(this.client.logo).catch(() => null) : null;
+      if (logo) {
+        const logoWidth = Math.min(160, 44 * (logo.naturalWidth / logo.naturalHeight));
+        ctx.drawImage(logo, x, y + 18, logoWidth, 44);
+        x += logoWidth + 16;
+      }
+      if (this.client.nome) {
+        ctx.font = 'bold 26px Helvetica, Arial, sans-serif';
+        ctx.fillStyle = this.colors.text;
+        ctx.fillText(this.fit(`Cliente: ${this.client.nome}`, this.width - this.padding - x), x, y + 50);
+      }
+      y += 60;
+    }
+
+    ctx.font = '26px Helvetica, Arial, sans-serif';
+    ctx.fillStyle = this.colors.muted;
+    ctx.fillText(`🕒 ${data.createdAt || ''}`, this.padding, y + 52);
+    ctx.textAlign = 'right';
+    ctx.fillStyle = this.colors.secondary;
+    ctx.font = 'bold 26px Helvetica, Arial, sans-serif';
+    ctx.fillText(this.fit(this.signature, 560), this.width - this.padding, y + 52);
+    ctx.textAlign = 'left';
+  }
+
+  /**
+   * Cartão como arquivo JPEG pronto para o compartilhamento
+   */
+  async toFile(filename) {
+    const blob = await new Promise(resolve => this.canvas.toBlob(resolve, 'image/jpeg', 0.9));
+    return new File([blob], filename, { type: 'image/jpeg' });
+  }
+
+  wrap(text, maxWidth, maxLines) {
+    const words = String(text).replace(/\s+/g, ' ').trim().split(' ');
+    const lines = [];
+    let line = '';
+
+    for (const word of words) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (this.ctx.measureText(candidate).width <= maxWidth || !line) {
+        line = candidate;
+      } else {
+        lines.push(line);
+        line = word;
+      }
+    }
+    if (line) lines.push(line);
+
+    if (lines.length > maxLines) {
+      const kept = lines.slice(0, maxLines);
+      kept[maxLines - 1] = this.fit(`${kept[maxLines - 1]}…`, maxWidth, true);
+      return kept;
+    }
+    return lines.map(item => this.fit(item, maxWidth));
+  }
+
+  /**
+   * Corta o texto com reticências para caber na largura
+   */
+  fit(text, maxWidth, hasEllipsis = false) {
+    let value = String(text);
+    if (this.ctx.measureText(value).width <= maxWidth) return value;
+    value = hasEllipsis ? value.slice(0, -1) : value;
+    while (value.length > 1 && this.ctx.measureText(`${value}…`).width > maxWidth) value = value.slice(0, -1);
+    return `${value.trimEnd()}…`;
+  }
+
+  roundRect(x, y, width, height, radius) {
+    const ctx = this.ctx;
+    ctx.beginPath();
+    ctx.moveTo(x + radius, y);
+    ctx.arcTo(x + width, y, x + width, y + height, radius);
+    ctx.arcTo(x + width, y + height, x, y + height, radius);
+    ctx.arcTo(x, y + height, x, y, radius);
+    ctx.arcTo(x, y, x + width, y, radius);
+    ctx.closePath();
+  }
+
+  loadImage(url) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('Não foi possível carregar a imagem'));
+      img.src = url;
+    });
+  }
+}
+
+// Exportar para uso global
+window.OccurrenceShareCard = OccurrenceShareCard;
@@ -0,0 +1,68 @@
+/**
+ * Fila de Envio Offline
+ * Ocorrências registradas sem conexão aguardam o compartilhamento (WhatsApp/PDF)
+ */
+
+class ShareQueue {
+  /**
+   * @param {OccurrenceStore} store - Banco local onde a fila é persistida
+   */
+  constructor(store) {
+    this.store = store;
+    this.storeName = 'outbox';
+  }
+
+  /**
+   * Adiciona (ou complementa) a pendência de uma ocorrência
+   * @param {Object} record - Ocorrência salva
+   * @param {string[]} channels - Canais pendentes ('whatsapp', 'pdf')
+   */
+  async enqueue(record, channels) {
+    const existing = await this.get(record.id);
+    const entry = {
+      id: record.id,
+      reference: record.reference,
+      queuedAt: existing?.queuedAt || new Date().toISOString(),
+      channels: Array.from(new Set([...(existing?.channels || []), ...channels]))
+    };
+
+    const objectStore = await this.store.objectStore(this.storeName, 'readwrite');
+    await this.store.request(objectStore.put(entry));
+    return entry;
+  }
+
+  async get(id) {
+    const objectStore = await this.store.objectStore(this.storeName);
+    return this.store.request(objectStore.get(id));
+  }
+
+  async list() {
+    const objectStore = await this.store.objectStore(this.storeName);
+    const entries = await this.store.request(objectStore.getAll());
+    return entries.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+  }
+
+  /**
+   * Marca um canal como concluído; remove a pendência quando não resta nenhum
+   */
+  async complete(id, channel) {
+    const entry = await this.get(id);
+    if (!entry) return;
+
+    const channels = entry.channels.filter(c => c !== channel);
+    const objectStore = await this.store.objectStore(this.storeName, 'readwrite');
+    if (channels.length === 0) {
+      await this.store.request(objectStore.delete(id));
+    } else {
+      await this.store.request(objectStore.put({ ...entry, channels }));
+    }
+  }
+
+  async remove(id) {
+    const objectStore = await this.store.objectStore(this.storeName, 'readwrite');
+    return this.store.request(objectStore.delete(id));
+  }
+}
+
+// Exportar para uso global
+window.ShareQueue = ShareQueue;
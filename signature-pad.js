@@ -0,0 +1,137 @@
+/**
+ * Assinatura na Tela
+ * Janela com campo de nome e área de desenho (dedo ou caneta); devolve a assinatura em PNG
+ */
+
+class SignaturePad {
+  constructor() {
+    this.width = 600;
+    this.height = 220;
+    this.strokes = [];
+    this.drawing = null;
+    this.modal = null;
+  }
+
+  /**
+   * Abre a janela de assinatura
+   * @param {Object} options - { papel: 'Relator', nome: sugestão de nome }
+   * @returns {Promise<Object|null>} { nome, imagem (data URL PNG) } ou null se cancelado
+   */
+  open({ papel, nome = '' }) {
+    this.ensureModal();
+    this.strokes = [];
+    this.modal.querySelector('[data-role="title"]').textContent = `✍️ Assinatura — ${papel}`;
+    this.nameInput.value = nome;
+    this.redraw();
+    this.modal.classList.add('show');
+
+    return new Promise(resolve => {
+      this.resolve = resolve;
+    });
+  }
+
+  /**
+   * Cria a janela (uma única vez); usa o mesmo visual do editor de fotos
+   */
+  ensureModal() {
+    if (this.modal) return;
+
+    this.modal = document.createElement('div');
+    this.modal.className = 'annotator';
+    this.modal.innerHTML = `
+      <div class="annotator-box">
+        <strong data-role="title"></strong>
+        <input data-role="name" placeholder="Nome completo de quem assina" />
+        <div class="annotator-stage">
+          <canvas width="${this.width}" height="${this.height}" style="border:2px dashed var(--line);border-radius:10px"></canvas>
+        </div>
+        <div class="annotator-toolbar">
+          <button type="button" class="btn" data-action="clear">Limpar</button>
+          <button type="button" class="btn" data-action="cancel">Cancelar</button>
+          <button type="button" class="btn success" data-action="save">✅ Confirmar assinatura</button>
+        </div>
+      </div>`;
+    document.body.appendChild(this.modal);
+
+    this.canvas = this.modal.querySelector('canvas');
+    this.ctx = this.canvas.getContext('2d');
+    this.nameInput = this.modal.querySelector('[data-role="name"]');
+
+    this.modal.querySelector('[data-action="clear"]').addEventListener('click', () => {
+      this.strokes = [];
+      this.redraw();
+    });
+    this.modal.querySelector('[data-action="cancel"]').addEventListener('click', () => this.close(null));
+    this.modal.querySelector('[data-action="save"]').addEventListener('click', () => this.save());
+
+    this.canvas.addEventListener('pointerdown', e => {
+      e.preventDefault();
+      this.canvas.setPointerCapture(e.pointerId);
+      this.drawing = [this.toCanvasPoint(e)];
+      this.strokes.push(this.drawing);
+    });
+    this.canvas.addEventListener('pointermove', e => {
+      if (!this.drawing) return;
+      this.drawing.push(this.toCanvasPoint(e));
+      this.redraw();
+    });
+    ['pointerup', 'pointercancel'].forEach(event => this.canvas.addEventListener(event, () => {
+      this.drawing = null;
+    }));
+  }
+
+  toCanvasPoint(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * this.canvas.width / rect.width,
+      y: (e.clientY - rect.top) * this.canvas.height / rect.height
+    };
+  }
+
+  redraw() {
+    const ctx = this.ctx;
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, this.width, this.height);
+
+    ctx.strokeStyle = '#1e3a8a';
+    ctx.lineWidth = 3;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    this.strokes.forEach(points => {
+      ctx.beginPath();
+      points.forEach((point, index) => (index ? ctx.lineTo(point.x, point.y) : ctx.moveTo(point.x, point.y)));
+      if (points.length === 1) ctx.lineTo(points[0].x + 0.5, points[0].y);
+      ctx.stroke();
+    });
+  }
+
+  /**
+   * Traços muito curtos (toques acidentais) não contam como assinatura
+   */
+  isEmpty() {
+    return this.strokes.reduce((total, points) => total + points.length, 0) < 10;
+  }
+
+  save() {
+    const nome = this.nameInput.value.trim();
+    if (!nome) {
+      alert('Informe o nome de quem assina.');
+      return;
+    }
+    if (this.isEmpty()) {
+      alert('Assine na área indicada antes de confirmar.');
+      return;
+    }
+    this.close({ nome, imagem: this.canvas.toDataURL('image/png') });
+  }
+
+  close(result) {
+    this.modal.classList.remove('show');
+    this.strokes = [];
+    if (this.resolve) this.resolve(result);
+    this.resolve = null;
+  }
+}
+
+// Exportar para uso global
+window.SignaturePad = SignaturePad;
@@ -0,0 +1,227 @@
+/**
+ * Corretor Ortográfico pt-BR (offline)
+ * Dicionário por frequência, sugestões por distância de edição e glossário de construção civil
+ */
+
+class PortugueseSpellChecker {
+  constructor({
+    dictionaryUrl = 'dictionaries/pt-BR.txt',
+    glossaryUrls = ['dictionaries/glossario-construcao.json'],
+    customStorageKey = 'spell_glossary_custom'
+  } = {}) {
+    this.dictionaryUrl = dictionaryUrl;
+    this.glossaryUrls = glossaryUrls;
+    this.customStorageKey = customStorageKey;
+    this.ranks = new Map(); // palavra → posição na lista de frequência
+    this.byStripped = new Map(); // palavra sem acentos → grafias conhecidas
+    this.glossary = new Set();
+    this.acronyms = new Set();
+    this.loading = null;
+    this.alphabet = 'abcdefghijklmnopqrstuvwxyz'; // Sugestões comparam grafias sem acentos
+
+    this.loadCustomTerms();
+  }
+
+  static strip(word) {
+    return word.normalize('NFD').replace(/[\u0300-\u036f]/g, '').normalize('NFC');
+  }
+
+  isLoaded() {
+    return this.ranks.size > 0;
+  }
+
+  /**
+   * Carrega dicionário e glossários (uma única vez)
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = Promise.all([
+        fetch(this.dictionaryUrl).then(response => {
+          if (!response.ok) throw new Error(`Dicionário indisponível: ${response.status}`);
+          return response.text();
+        }).then(text => this.addWords(text.split('\n').filter(line => line && !line.startsWith('#')))),
+        ...this.glossaryUrls.map(url => fetch(url)
+          .then(response => response.json())
+          .then(glossary => this.addGlossary(glossary))
+          .catch(error => console.warn(`Glossário ${url} não carregado:`, error)))
+      ]).catch(error => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Adiciona palavras ao dicionário, da mais para a menos frequente
+   */
+  addWords(words) {
+    words.forEach(word => {
+      word = word.trim().toLowerCase();
+      if (!word || this.ranks.has(word)) return;
+      this.ranks.set(word, this.ranks.size);
+      this.index(word);
+    });
+  }
+
+  index(word) {
+    const key = PortugueseSpellChecker.strip(word);
+    const forms = this.byStripped.get(key);
+    if (!forms) this.byStripped.set(key, [word]);
+    else if (!forms.includes(word)) forms.push(word);
+  }
+
+  /**
+   * Glossário no formato { termos: [...], siglas: [...] }
+   */
+  addGlossary({ termos = [], siglas = [] } = {}) {
+    termos.forEach(term => this.addTerm(term));
+    siglas.forEach(sigla => this.acronyms.add(sigla.toUpperCase()));
+  }
+
+  addTerm(term) {
+    term.toLowerCase().split(/\s+/).filter(Boolean).forEach(word => {
+      if (this.glossary.has(word)) return;
+      this.glossary.add(word);
+      this.index(word);
+    });
+  }
+
+  /**
+   * Termos acrescentados pela equipe neste dispositivo
+   */
+  loadCustomTerms() {
+    try {
+      JSON.parse(localStorage.getItem(this.customStorageKey) || '[]').forEach(term => this.addTerm(term));
+    } catch (error) {
+      console.warn('Glossário pessoal inválido:', error);
+    }
+  }
+
+  learn(term) {
+    const custom = JSON.parse(localStorage.getItem(this.customStorageKey) || '[]');
+    const word = term.trim().toLowerCase();
+    if (!word || custom.includes(word)) return;
+    custom.push(word);
+    localStorage.setItem(this.customStorageKey, JSON.stringify(custom));
+    this.addTerm(word);
+  }
+
+  isKnown(word) {
+    if (this.acronyms.has(word.toUpperCase()) && word === word.toUpperCase()) return true;
+    const lower = word.toLowerCase();
+    return this.ranks.has(lower) || this.glossary.has(lower);
+  }
+
+  /**
+   * Palavras desconhecidas do texto, com posição em caracteres e sugestões
+   * @returns {{original: string, offset: number, length: number, suggestion: string|null, suggestions: string[], type: string}[]}
+   */
+  check(text) {
+    if (!this.isLoaded()) return [];
+
+    const errors = [];
+    const tokenRegex = /[\p{L}\d]+(?:-[\p{L}\d]+)*/gu;
+
+    for (const match of text.matchAll(tokenRegex)) {
+      const token = match[0];
+      if (/\d/.test(token) || this.isKnown(token)) continue;
+
+      // Palavras compostas: verifica cada parte
+      let partOffset = match.index;
+      token.split('-').forEach(part => {
+        if (!this.isKnown(part) && !this.shouldSkip(part, text, partOffset)) {
+          const suggestions = this.suggest(part);
+          errors.push({
+            original: part,
+            offset: partOffset,
+            length: part.length,
+            suggestion: suggestions[0] || null,
+            suggestions,
+            type: 'spelling'
+          });
+        }
+        partOffset += part.length + 1;
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Siglas em maiúsculas e nomes próprios (maiúscula fora do início de frase) não são marcados
+   */
+  shouldSkip(word, text, offset) {
+    if (word.length === 1) return true;
+    if (word === word.toUpperCase()) return true;
+
+    const capitalized = word[0] !== word[0].toLowerCase();
+    const before = text.slice(0, offset).trimEnd();
+    const sentenceStart = before === '' || /[.!?:\n]$/.test(before);
+    return capitalized && !sentenceStart;
+  }
+
+  /**
+   * Sugestões: acentuação, depois distância de edição 1 e 2 (ordenadas por frequência)
+   */
+  suggest(word, limit = 5) {
+    const lower = word.toLowerCase();
+    const stripped = PortugueseSpellChecker.strip(lower);
+    const scored = new Map();
+
+    const consider = (key, distance) => {
+      (this.byStripped.get(key) || []).forEach(candidate => {
+        if (candidate === lower) return;
+        const previous = scored.get(candidate);
+        if (previous === undefined || distance < previous) scored.set(candidate, distance);
+      });
+    };
+
+    // Mesma palavra com outra acentuação ("acao" → "ação")
+    consider(stripped, 0);
+
+    const edits1 = this.edits(stripped);
+    edits1.forEach(candidate => consider(candidate, 1));
+
+    if (scored.size === 0 && stripped.length <= 12) {
+      edits1.forEach(candidate => this.edits(candidate).forEach(second => consider(second, 2)));
+    }
+
+    return Array.from(scored.entries())
+      .sort((a, b) => a[1] - b[1] || this.rank(a[0]) - this.rank(b[0]))
+      .slice(0, limit)
+      .map(([candidate]) => this.matchCase(word, candidate));
+  }
+
+  rank(word) {
+    // Termos do glossário contam como frequentes
+    return this.glossary.has(word) ? 0 : (this.ranks.get(word) ?? Infinity);
+  }
+
+  /**
+   * Todas as grafias a uma edição de distância (exclusão, troca, substituição, inserção)
+   */
+  edits(word) {
+    const results = new Set();
+    for (let i = 0; i <= word.length; i++) {
+      const left = word.slice(0, i);
+      const right = word.slice(i);
+      if (right) results.add(left + right.slice(1));
+      if (right.length > 1) results.add(left + right[1] + right[0] + right.slice(2));
+      for (const letter of this.alphabet) {
+        if (right) results.add(left + letter + right.slice(1));
+        results.add(left + letter + right);
+      }
+    }
+    return results;
+  }
+
+  matchCase(original, suggestion) {
+    if (original === original.toUpperCase()) return suggestion.toUpperCase();
+    if (original[0] !== original[0].toLowerCase()) return suggestion[0].toUpperCase() + suggestion.slice(1);
+    return suggestion;
+  }
+}
+
+// Exportar para uso global
+window.PortugueseSpellChecker = PortugueseSpellChecker;
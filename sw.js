@@ -0,0 +1,103 @@
+/**
+ * Service Worker - Registro de Ocorrências
+ * Mantém o app (HTML, scripts, jsPDF e logo) disponível sem conexão
+ */
+
+const CACHE_VERSION = 'ocorrencias-v19';
+
+// Arquivos do app empacotados para uso offline
+const APP_SHELL = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'vendor/jspdf.umd.min.js',
+  'vendor/qrcode.js',
+  'assets/system_engenharia_logo.png',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'ai-providers.js',
+  'spell-checker.js',
+  'dictionaries/pt-BR.txt',
+  'dictionaries/glossario-construcao.json',
+  'writing-rules.js',
+  'rules/index.json',
+  'rules/redacao-tecnica.json',
+  'rules/clareza.json',
+  'field-classifier.js',
+  'ai-assistant.js',
+  'ai-edit-review.js',
+  'voice-dictation.js',
+  'secure-key-store.js',
+  'pdf-generator.js',
+  'pdf-period-report.js',
+  'pdf-management-report.js',
+  'photo-metadata.js',
+  'photo-annotator.js',
+  'signature-pad.js',
+  'report-integrity.js',
+  'floor-plans.js',
+  'plan-pin-picker.js',
+  'occurrence-analytics.js',
+  'analytics-chart.js',
+  'occurrence-store.js',
+  'project-registry.js',
+  'reference-sequence.js',
+  'zip-archive.js',
+  'occurrence-export.js',
+  'share-card.js',
+  'contact-directory.js',
+  'form-template.js',
+  'branding-profiles.js',
+  'templates/ocorrencia.json',
+  'occurrence-lifecycle.js',
+  'share-queue.js'
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE_VERSION)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // APIs externas (IA, WhatsApp) nunca passam pelo cache
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // Páginas: rede primeiro (para receber atualizações), cache quando offline
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => {
+          const copy = response.clone();
+          caches.open(CACHE_VERSION).then(cache => cache.put('index.html', copy));
+          return response;
+        })
+        .catch(() => caches.match('index.html'))
+    );
+    return;
+  }
+
+  // Demais arquivos: cache primeiro, rede como alternativa
+  event.respondWith(
+    caches.match(request).then(cached => cached || fetch(request).then(response => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(CACHE_VERSION).then(cache => cache.put(request, copy));
+      }
+      return response;
+    }))
+  );
+});
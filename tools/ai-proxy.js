@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * Proxy Local para o Provedor de IA
+ * O navegador chama este endpoint sem chave; a chave fica somente no servidor
+ *
+ * Uso:
+ *   OPENAI_API_KEY=sk-... AI_ALLOWED_ORIGIN=http://localhost:8080 node tools/ai-proxy.js
+ *
+ * Variáveis obrigatórias:
+ *   AI_ALLOWED_ORIGIN  Origem(ns) do app, separadas por vírgula; outras origens recebem 403
+ *
+ * Variáveis opcionais:
+ *   AI_PROXY_PORT      Porta local (padrão 8787)
+ *   AI_UPSTREAM        API de destino (padrão https://api.openai.com/v1)
+ *
+ * No app, selecione o provedor "Proxy local" (http://localhost:8787/v1, sem autenticação).
+ */
+
+const http = require('http');
+
+const port = Number(process.env.AI_PROXY_PORT || 8787);
+const upstream = (process.env.AI_UPSTREAM || 'https://api.openai.com/v1').replace(/\/+$/, '');
+const apiKey = process.env.OPENAI_API_KEY || process.env.AI_API_KEY;
+// Sem curinga: qualquer site aberto no navegador poderia gastar a chave do servidor
+const allowedOrigins = (process.env.AI_ALLOWED_ORIGIN || '')
+  .split(',')
+  .map(origin => origin.trim().replace(/\/+$/, ''))
+  .filter(origin => origin && origin !== '*');
+const maxBodyBytes = 25 * 1024 * 1024;
+
+// Somente estas rotas são repassadas
+const allowedPaths = ['/chat/completions', '/audio/transcriptions'];
+
+if (!apiKey) {
+  console.error('Defina OPENAI_API_KEY (ou AI_API_KEY) antes de iniciar o proxy.');
+  process.exit(1);
+}
+
+if (!allowedOrigins.length) {
+  console.error('Defina AI_ALLOWED_ORIGIN com a origem do app (ex.: http://localhost:8080); "*" não é aceito.');
+  process.exit(1);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBodyBytes) {
+        reject(new Error('Requisição muito grande'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const origin = req.headers.origin;
+  if (!allowedOrigins.includes(origin)) {
+    sendJson(res, 403, { error: 'Origem não autorizada' });
+    return;
+  }
+
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Vary', 'Origin');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const path = new URL(req.url, 'http://localhost').pathname.replace(/^\/v1/, '');
+  if (req.method !== 'POST' || !allowedPaths.includes(path)) {
+    sendJson(res, 404, { error: 'Rota não permitida' });
+    return;
+  }
+
+  try {
+    const body = await readBody(req);
+    const response = await fetch(`${upstream}${path}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': req.headers['content-type'] || 'application/json'
+      },
+      body
+    });
+
+    res.writeHead(response.status, { 'Content-Type': response.headers.get('content-type') || 'application/json' });
+    res.end(Buffer.from(await response.arrayBuffer()));
+  } catch (error) {
+    console.error('Erro no proxy:', error.message);
+    sendJson(res, 502, { error: 'Falha ao contatar o provedor de IA' });
+  }
+});
+
+server.listen(port, '127.0.0.1', () => {
+  console.log(`Proxy de IA em http://localhost:${port}/v1 → ${upstream}`);
+});
@@ -0,0 +1,163 @@
+/**
+ * Ditado por Voz
+ * Reconhecimento de fala pt-BR pelo navegador (Web Speech API) ou gravação + serviço de transcrição
+ */
+
+/**
+ * Reconhecimento nativo do navegador (Chrome/Edge/Safari)
+ */
+class WebSpeechDictation {
+  constructor({ lang = 'pt-BR' } = {}) {
+    this.id = 'webspeech';
+    this.lang = lang;
+    this.recognition = null;
+  }
+
+  static isSupported() {
+    return !!(window.SpeechRecognition || window.webkitSpeechRecognition);
+  }
+
+  isAvailable() {
+    return WebSpeechDictation.isSupported();
+  }
+
+  /**
+   * Inicia a escuta; resolve com o texto final quando stop() é chamado ou a fala termina
+   */
+  start({ onInterim } = {}) {
+    const Recognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    this.recognition = new Recognition();
+    this.recognition.lang = this.lang;
+    this.recognition.continuous = true;
+    this.recognition.interimResults = true;
+
+    return new Promise((resolve, reject) => {
+      let finalText = '';
+
+      this.recognition.onresult = event => {
+        let interim = '';
+        for (let i = event.resultIndex; i < event.results.length; i++) {
+          const result = event.results[i];
+          if (result.isFinal) finalText += result[0].transcript;
+          else interim += result[0].transcript;
+        }
+        if (onInterim) onInterim(`${finalText}${interim}`);
+      };
+
+      this.recognition.onerror = event => {
+        // "no-speech"/"aborted" apenas encerram a escuta sem texto
+        if (event.error !== 'no-speech' && event.error !== 'aborted') {
+          reject(new Error(event.error === 'not-allowed' ? 'Permissão do microfone negada' : `Reconhecimento de voz: ${event.error}`));
+        }
+      };
+
+      this.recognition.onend = () => {
+        this.recognition = null;
+        resolve(finalText.trim());
+      };
+
+      this.recognition.start();
+    });
+  }
+
+  stop() {
+    if (this.recognition) this.recognition.stop();
+  }
+}
+
+/**
+ * Grava o áudio e envia a um serviço de transcrição (ex.: provedor de IA com Whisper)
+ */
+class RecordedDictation {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getTranscriber - Devolve o objeto com transcribe(blob, options) e canTranscribe()
+   */
+  constructor({ getTranscriber, language = 'pt', prompt = '' } = {}) {
+    this.id = 'recorder';
+    this.getTranscriber = getTranscriber;
+    this.language = language;
+    this.prompt = prompt;
+    this.recorder = null;
+  }
+
+  isAvailable() {
+    const transcriber = this.getTranscriber?.();
+    return !!(window.MediaRecorder && navigator.mediaDevices?.getUserMedia && transcriber?.canTranscribe?.());
+  }
+
+  async start({ onInterim } = {}) {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true }).catch(() => {
+      throw new Error('Permissão do microfone negada');
+    });
+
+    const chunks = [];
+    this.recorder = new MediaRecorder(stream);
+    this.recorder.ondataavailable = event => {
+      if (event.data.size) chunks.push(event.data);
+    };
+
+    const stopped = new Promise(resolve => { this.recorder.onstop = resolve; });
+    this.recorder.start();
+    if (onInterim) onInterim('Gravando... toque novamente para encerrar.');
+
+    await stopped;
+    stream.getTracks().forEach(track => track.stop());
+    const audio = new Blob(chunks, { type: this.recorder.mimeType || 'audio/webm' });
+    this.recorder = null;
+
+    if (!audio.size) return '';
+    if (onInterim) onInterim('Transcrevendo áudio...');
+    const text = await this.getTranscriber().transcribe(audio, { language: this.language, prompt: this.prompt });
+    return text.trim();
+  }
+
+  stop() {
+    if (this.recorder?.state === 'recording') this.recorder.stop();
+  }
+}
+
+/**
+ * Escolhe o primeiro método disponível e controla o ciclo gravar/parar
+ */
+class VoiceDictation {
+  /**
+   * @param {Object[]} backends - Em ordem de preferência; cada um com isAvailable(), start() e stop()
+   */
+  constructor(backends = []) {
+    this.backends = backends;
+    this.active = null;
+  }
+
+  isAvailable() {
+    return this.backends.some(backend => backend.isAvailable());
+  }
+
+  isListening() {
+    return !!this.active;
+  }
+
+  /**
+   * Escuta até stop(); resolve com o texto reconhecido
+   */
+  async start(options = {}) {
+    const backend = this.backends.find(candidate => candidate.isAvailable());
+    if (!backend) throw new Error('Ditado indisponível: navegador sem reconhecimento de voz e nenhum serviço de transcrição configurado');
+
+    this.active = backend;
+    try {
+      return await backend.start(options);
+    } finally {
+      this.active = null;
+    }
+  }
+
+  stop() {
+    if (this.active) this.active.stop();
+  }
+}
+
+// Exportar para uso global
+window.WebSpeechDictation = WebSpeechDictation;
+window.RecordedDictation = RecordedDictation;
+window.VoiceDictation = VoiceDictation;
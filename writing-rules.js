@@ -0,0 +1,262 @@
+/**
+ * Motor de Regras de Redação
+ * Pacotes de regras em JSON (padrões técnicos e clareza), ativáveis por empresa ou por obra
+ */
+
+class WritingRuleEngine {
+  constructor({ indexUrl = 'rules/index.json', settingsKey = 'writing_rules_settings', customPacksKey = 'writing_rule_packs' } = {}) {
+    this.indexUrl = indexUrl;
+    this.settingsKey = settingsKey;
+    this.customPacksKey = customPacksKey;
+    this.packs = []; // { id, nome, regras: [...], custom }
+    this.site = null; // Obra ativa (configurações próprias sobrepõem as da empresa)
+    this.loading = null;
+    this.severities = ['low', 'medium', 'high'];
+  }
+
+  /**
+   * Carrega os pacotes listados em rules/index.json e os importados neste dispositivo
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = fetch(this.indexUrl)
+        .then(response => response.json())
+        .then(index => Promise.all(index.packs.map(file => {
+          const url = new URL(file, new URL(this.indexUrl, location.href)).href;
+          return fetch(url)
+            .then(response => response.json())
+            .then(pack => this.addPack(pack))
+            .catch(error => console.warn(`Pacote de regras ${file} não carregado:`, error));
+        })))
+        .catch(error => console.warn('Índice de regras indisponível:', error))
+        .then(() => this.loadCustomPacks());
+    }
+    return this.loading;
+  }
+
+  /**
+   * Valida e registra um pacote; regras inválidas são descartadas com aviso
+   */
+  addPack(pack, { custom = false } = {}) {
+    if (!pack?.id || !Array.isArray(pack.regras)) throw new Error('Pacote de regras inválido: informe "id" e "regras"');
+
+    const regras = pack.regras.filter(rule => {
+      const error = this.validateRule(rule);
+      if (error) console.warn(`Regra ignorada (${pack.id}/${rule?.id}): ${error}`);
+      return !error;
+    }).map(rule => ({ ...rule, compiled: this.compile(rule.matcher) }));
+
+    this.packs = this.packs.filter(existing => existing.id !== pack.id);
+    this.packs.push({ id: pack.id, nome: pack.nome || pack.id, descricao: pack.descricao || '', regras, custom });
+    return this.packs[this.packs.length - 1];
+  }
+
+  validateRule(rule) {
+    if (!rule?.id) return 'sem id';
+    if (!this.severities.includes(rule.severity)) return `severidade deve ser ${this.severities.join('|')}`;
+    if (!rule.explanation) return 'sem explicação';
+    if (rule.tipos && !Array.isArray(rule.tipos)) return '"tipos" deve ser uma lista';
+
+    const matcher = rule.matcher || {};
+    switch (matcher.type) {
+      case 'regex':
+        try {
+          this.compile(matcher);
+        } catch (error) {
+          return `expressão inválida: ${error.message}`;
+        }
+        return null;
+      case 'words':
+      case 'requires':
+        return Array.isArray(matcher.words) && matcher.words.length ? null : 'informe "words"';
+      case 'minLength':
+      case 'missingPunctuation':
+      case 'repetition':
+        return null;
+      default:
+        return `matcher desconhecido: ${matcher.type}`;
+    }
+  }
+
+  /**
+   * Regex global pronta para matchAll (sem estado de lastIndex entre chamadas)
+   */
+  compile(matcher) {
+    if (matcher.type === 'regex') {
+      const flags = new Set(`${matcher.flags || ''}gu`);
+      return new RegExp(matcher.pattern, Array.from(flags).join(''));
+    }
+    if (matcher.type === 'words') return this.wordsRegex(matcher.words);
+    return null;
+  }
+
+  /**
+   * Palavras inteiras (inclusive acentuadas), sem diferenciar maiúsculas
+   */
+  wordsRegex(words) {
+    const escaped = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`(?<![\\p{L}\\d])(?:${escaped.join('|')})(?![\\p{L}\\d])`, 'giu');
+  }
+
+  /**
+   * Pacotes importados pelo usuário (JSON) ficam salvos no dispositivo
+   */
+  loadCustomPacks() {
+    try {
+      JSON.parse(localStorage.getItem(this.customPacksKey) || '[]').forEach(pack => this.addPack(pack, { custom: true }));
+    } catch (error) {
+      console.warn('Pacotes de regras importados inválidos:', error);
+    }
+  }
+
+  importPack(pack) {
+    const added = this.addPack(pack, { custom: true });
+    const stored = JSON.parse(localStorage.getItem(this.customPacksKey) || '[]').filter(existing => existing.id !== pack.id);
+    stored.push(pack);
+    localStorage.setItem(this.customPacksKey, JSON.stringify(stored));
+    return added;
+  }
+
+  removePack(packId) {
+    const stored = JSON.parse(localStorage.getItem(this.customPacksKey) || '[]').filter(pack => pack.id !== packId);
+    localStorage.setItem(this.customPacksKey, JSON.stringify(stored));
+    this.packs = this.packs.filter(pack => !(pack.id === packId && pack.custom));
+  }
+
+  /**
+   * Configurações: { empresa: {packs, rules}, obras: { [obra]: {packs, rules} } }
+   */
+  getSettings() {
+    try {
+      const settings = JSON.parse(localStorage.getItem(this.settingsKey) || '{}');
+      return { empresa: settings.empresa || { packs: {}, rules: {} }, obras: settings.obras || {} };
+    } catch (error) {
+      return { empresa: { packs: {}, rules: {} }, obras: {} };
+    }
+  }
+
+  setSite(site) {
+    this.site = site || null;
+  }
+
+  /**
+   * Ativa/desativa um pacote ou regra na empresa (site = null) ou numa obra
+   * @param {'packs'|'rules'} kind
+   * @param {boolean|null} enabled - null remove a configuração da obra (volta a valer a da empresa)
+   */
+  setEnabled(kind, id, enabled, site = null) {
+    const settings = this.getSettings();
+    const scope = site ? (settings.obras[site] = settings.obras[site] || { packs: {}, rules: {} }) : settings.empresa;
+    scope[kind] = scope[kind] || {};
+
+    if (enabled === null) delete scope[kind][id];
+    else scope[kind][id] = enabled;
+
+    localStorage.setItem(this.settingsKey, JSON.stringify(settings));
+  }
+
+  /**
+   * A obra tem configuração própria para o pacote ou regra (em vez da da empresa)?
+   */
+  hasSiteSetting(kind, id, site = this.site) {
+    return !!site && this.getSettings().obras[site]?.[kind]?.[id] !== undefined;
+  }
+
+  /**
+   * Obra sobrepõe empresa; sem configuração, tudo ativo
+   */
+  isEnabled(kind, id, site = this.site) {
+    const settings = this.getSettings();
+    const siteValue = site ? settings.obras[site]?.[kind]?.[id] : undefined;
+    if (siteValue !== undefined) return siteValue;
+    return settings.empresa[kind]?.[id] !== false;
+  }
+
+  /**
+   * Regras ativas para o tipo de ocorrência informado
+   */
+  activeRules(tipo) {
+    return this.packs
+      .filter(pack => this.isEnabled('packs', pack.id))
+      .flatMap(pack => pack.regras.map(rule => ({ ...rule, packId: pack.id })))
+      .filter(rule => this.isEnabled('rules', rule.id))
+      .filter(rule => !rule.tipos?.length || rule.tipos.includes(tipo));
+  }
+
+  /**
+   * Avalia o texto; achados com offset apontam um trecho, os demais valem para o texto todo
+   */
+  evaluate(text, { tipo = '' } = {}) {
+    const findings = [];
+
+    this.activeRules(tipo).forEach(rule => {
+      const base = {
+        ruleId: rule.id,
+        packId: rule.packId,
+        severity: rule.severity,
+        category: rule.category || 'clareza',
+        explanation: rule.explanation
+      };
+
+      if (rule.compiled) {
+        for (const match of text.matchAll(rule.compiled)) {
+          findings.push({ ...base, offset: match.index, original: match[0], replacement: this.replacementFor(rule, match) });
+        }
+        return;
+      }
+
+      const message = this.checkText(rule.matcher, text);
+      if (message !== null) findings.push({ ...base, message: message || rule.explanation });
+    });
+
+    return findings;
+  }
+
+  /**
+   * Substituição: texto com $1... (regex) ou mapa palavra → substituição; sem ela, só sinaliza
+   */
+  replacementFor(rule, match) {
+    if (rule.replacement === undefined || rule.replacement === null) return null;
+
+    if (typeof rule.replacement === 'object') {
+      const replacement = rule.replacement[match[0].toLowerCase()];
+      if (replacement === undefined) return null;
+      return match[0][0] === match[0][0].toUpperCase() ? replacement[0].toUpperCase() + replacement.slice(1) : replacement;
+    }
+
+    return match[0].replace(new RegExp(rule.compiled.source, rule.compiled.flags.replace('g', '')), rule.replacement);
+  }
+
+  /**
+   * Verificações do texto inteiro; devolve null se passou, ou a mensagem ('' = usar a explicação)
+   */
+  checkText(matcher, text) {
+    const trimmed = text.trim();
+
+    switch (matcher.type) {
+      case 'minLength':
+        return trimmed.length < (matcher.min ?? 20) ? '' : null;
+
+      case 'missingPunctuation':
+        return trimmed.length > (matcher.minLength ?? 50) && !/[.!?]/.test(trimmed) ? '' : null;
+
+      case 'requires':
+        return trimmed.length >= (matcher.minLength ?? 0) && !this.wordsRegex(matcher.words).test(trimmed) ? '' : null;
+
+      case 'repetition': {
+        const counts = {};
+        (trimmed.toLowerCase().match(/[\p{L}\d]+/gu) || [])
+          .filter(word => word.length >= (matcher.minWordLength ?? 4))
+          .forEach(word => { counts[word] = (counts[word] || 0) + 1; });
+        const repeated = Object.keys(counts).filter(word => counts[word] > (matcher.maxCount ?? 2));
+        return repeated.length ? `Palavras repetidas: ${repeated.join(', ')}` : null;
+      }
+
+      default:
+        return null;
+    }
+  }
+}
+
+// Exportar para uso global
+window.WritingRuleEngine = WritingRuleEngine;
@@ -0,0 +1,142 @@
+/**
+ * Arquivo ZIP
+ * Gravação sem compressão (fotos já são JPEG) e leitura de ZIPs armazenados ou com deflate
+ */
+
+class ZipArchive {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * Adiciona um arquivo
+   * @param {string} name - Caminho dentro do ZIP (ex.: fotos/123.jpg)
+   * @param {string|Uint8Array|Blob} data
+   */
+  async add(name, data) {
+    let bytes = data;
+    if (typeof data === 'string') bytes = new TextEncoder().encode(data);
+    else if (data instanceof Blob) bytes = new Uint8Array(await data.arrayBuffer());
+    this.entries.push({ name, bytes, crc: ZipArchive.crc32(bytes) });
+  }
+
+  /**
+   * Monta o ZIP (cabeçalhos locais, diretório central e registro final)
+   */
+  toBlob(type = 'application/zip') {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    const { time, date } = ZipArchive.dosDateTime(new Date());
+
+    this.entries.forEach(entry => {
+      const name = encoder.encode(entry.name);
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true); // nomes em UTF-8
+      local.setUint16(8, 0, true); // sem compressão
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, entry.crc, true);
+      local.setUint32(18, entry.bytes.length, true);
+      local.setUint32(22, entry.bytes.length, true);
+      local.setUint16(26, name.length, true);
+      parts.push(local, name, entry.bytes);
+
+      const header = new DataView(new ArrayBuffer(46));
+      header.setUint32(0, 0x02014b50, true);
+      header.setUint16(4, 20, true);
+      header.setUint16(6, 20, true);
+      header.setUint16(8, 0x0800, true);
+      header.setUint16(10, 0, true);
+      header.setUint16(12, time, true);
+      header.setUint16(14, date, true);
+      header.setUint32(16, entry.crc, true);
+      header.setUint32(20, entry.bytes.length, true);
+      header.setUint32(24, entry.bytes.length, true);
+      header.setUint16(28, name.length, true);
+      header.setUint32(42, offset, true);
+      central.push(header, name);
+
+      offset += 30 + name.length + entry.bytes.length;
+    });
+
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, this.entries.length, true);
+    end.setUint16(10, this.entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end], { type });
+  }
+
+  /**
+   * Lê um ZIP pelo diretório central
+   * @returns {Promise<Map<string, Uint8Array>>} conteúdo por caminho
+   */
+  static async read(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const view = new DataView(bytes.buffer);
+    const decoder = new TextDecoder();
+
+    let endOffset = bytes.length - 22;
+    while (endOffset >= 0 && view.getUint32(endOffset, true) !== 0x06054b50) endOffset--;
+    if (endOffset < 0) throw new Error('Arquivo ZIP inválido');
+
+    const files = new Map();
+    const count = view.getUint16(endOffset + 10, true);
+    let pointer = view.getUint32(endOffset + 16, true);
+
+    for (let i = 0; i < count; i++) {
+      if (view.getUint32(pointer, true) !== 0x02014b50) throw new Error('Arquivo ZIP corrompido');
+      const method = view.getUint16(pointer + 10, true);
+      const compressedSize = view.getUint32(pointer + 20, true);
+      const nameLength = view.getUint16(pointer + 28, true);
+      const extraLength = view.getUint16(pointer + 30, true);
+      const commentLength = view.getUint16(pointer + 32, true);
+      const localOffset = view.getUint32(pointer + 42, true);
+      const name = decoder.decode(bytes.subarray(pointer + 46, pointer + 46 + nameLength));
+      pointer += 46 + nameLength + extraLength + commentLength;
+      if (name.endsWith('/')) continue;
+
+      const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const data = bytes.subarray(dataStart, dataStart + compressedSize);
+      files.set(name, method === 8 ? await ZipArchive.inflate(data) : data);
+    }
+
+    return files;
+  }
+
+  static async inflate(data) {
+    if (!window.DecompressionStream) throw new Error('Este navegador não descompacta ZIP; gere o arquivo sem compressão');
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  static crc32(bytes) {
+    if (!ZipArchive.crcTable) {
+      ZipArchive.crcTable = Array.from({ length: 256 }, (_, n) => {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        return c >>> 0;
+      });
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = ZipArchive.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  static dosDateTime(date) {
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+}
+
+// Exportar para uso global
+window.ZipArchive = ZipArchive;